@@ -0,0 +1,72 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+
+/**
+ * Values of normalized availability.
+ *
+ * @private
+ */
+const IN_STOCK = 'in_stock';
+const OUT_OF_STOCK = 'out_of_stock';
+const PREORDER = 'preorder';
+const UNKNOWN = 'unknown';
+
+/**
+ * Default matchers of each availability, including schema.org ItemAvailability values.
+ *
+ * @private
+ */
+const DEFAULT_MATCHERS = {
+    [PREORDER]: ['preorder', 'pre-order', 'backorder', 'presale', 'под заказ', 'предзаказ'],
+    [OUT_OF_STOCK]: ['outofstock', 'out of stock', 'not in stock', 'soldout', 'sold out', 'discontinued', 'unavailable',
+                     'not available', 'no longer available', 'нет в наличии', 'не в наличии', 'отсутствует', 'снят с производства'],
+    [IN_STOCK]: ['instock', 'in stock', 'limitedavailability', 'onlineonly', 'instoreonly', 'available', 'в наличии']
+};
+
+/**
+ * Order of matching. Wordings of out of stock often contain wordings of in stock (e.g. "not available" contains "available"),
+ * so they go first.
+ *
+ * @private
+ */
+const MATCHING_ORDER = [PREORDER, OUT_OF_STOCK, IN_STOCK];
+
+/**
+ * Normalize availability of a product.
+ *
+ * @example
+ * normalizeAvailability('Out of stock'); // 'out_of_stock'
+ * normalizeAvailability('https://schema.org/InStock'); // 'in_stock'
+ * normalizeAvailability('Ships in 2 weeks', { preorder: ['ships in'] }); // 'preorder'
+ *
+ * @param {string} value - text or attribute value describing availability.
+ * @param {Object<string, Array<string>>} [matchers] - case-insensitive substrings of each availability.
+ * Availabilities without matchers use the default ones.
+ * @returns {string} one of "in_stock", "out_of_stock", "preorder" and "unknown".
+ */
+function normalizeAvailability(value, matchers = {}) {
+    is.invalidType('value', 'string', value);
+
+    const lowerCase = value.toLowerCase();
+
+    for (const availability of MATCHING_ORDER) {
+        const substrings = matchers[availability] || DEFAULT_MATCHERS[availability];
+
+        if (substrings.some(substring => lowerCase.includes(substring.toLowerCase()))) {
+            return availability;
+        }
+    }
+
+    return UNKNOWN;
+}
+
+module.exports = {
+    availabilities: [IN_STOCK, OUT_OF_STOCK, PREORDER, UNKNOWN],
+    normalizeAvailability
+};
\ No newline at end of file
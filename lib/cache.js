@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/*  Cached pages and recorded fixtures share the same format: a JSON file per requested URL. */
+
+/**
+ * Get a path of a file that stores a cached page.
+ *
+ * @param {string} dir - cache directory.
+ * @param {string} url
+ * @returns {string}
+ * @private
+ */
+function getEntryPath(dir, url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(dir, hash + '.json');
+}
+
+/**
+ * Read a cached page.
+ *
+ * @param {string} dir - cache directory.
+ * @param {string} url - requested URL.
+ * @returns {Promise<{url: string, finalUrl: string, status: number, headers: Object<string, string>, html: string, storedAt: number}|null>}
+ * null if the page is not cached or its cache file is corrupted.
+ */
+async function readCacheEntry(dir, url) {
+    try {
+        const entry = JSON.parse(await fs.readFile(getEntryPath(dir, url), 'utf8'));
+        return entry.url === url ? entry : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Write a page to the cache.
+ *
+ * @param {string} dir - cache directory. It is created if it does not exist.
+ * @param {Object} entry
+ * @param {string} entry.url - requested URL.
+ * @param {string} entry.finalUrl - URL of the page after redirects.
+ * @param {number} entry.status
+ * @param {string} [entry.statusText]
+ * @param {Object<string, string>} entry.headers
+ * @param {string} entry.html
+ * @param {number} entry.storedAt - time when the page was fetched or revalidated.
+ * @returns {Promise<void>}
+ */
+async function writeCacheEntry(dir, entry) {
+    try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(getEntryPath(dir, entry.url), JSON.stringify(entry));
+    } catch (e) {
+        throw new Error(`${entry.url} cannot be cached in ${dir}`, { cause: e });
+    }
+}
+
+module.exports = {
+    readCacheEntry,
+    writeCacheEntry
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+
+/**
+ * Select elements of each product card of a list.
+ *
+ * It must be called with a ProductScraper instance as this.
+ * If this.productListSelectors.card is present, the selector is resolved relative to each card
+ * (a card itself matches too), so a card without the element gets an empty selection.
+ * Otherwise, each element matched by the selector in the whole page belongs to its own card.
+ *
+ * @param {CheerioAPI} $
+ * @param {string} selector
+ * @param {string} [this.productListSelectors.card]
+ * @returns {Array<Cheerio>} selection of each card.
+ * @throws {Error} if the selector (or the card selector, if present) does not match any element.
+ */
+function selectInCards($, selector) {
+    is.invalidType('selector', 'string', selector);
+
+    const cardSelector = this.productListSelectors.card;
+    const els = $(cardSelector || selector);
+
+    is.emptySelection(els, cardSelector || selector);
+
+    return els.toArray().map(el => cardSelector ? $(el).find(selector).addBack(selector) : $(el));
+}
+
+/**
+ * Read a value of the first element selected in each product card of a list.
+ *
+ * It must be called with a ProductScraper instance as this.
+ * If this.productListSelectors.card is present, a value of a card without the element is null.
+ * Otherwise, there are no such cards, and an element without a value is an error.
+ *
+ * @param {CheerioAPI} $
+ * @param {string} selector
+ * @param {Function<Cheerio>: any} read - function that returns a value of an element, or undefined if it does not have one.
+ * @param {string} valueName - name of a value used in an error (e.g. "an attribute href").
+ * @param {string} [this.productListSelectors.card]
+ * @returns {Array<any>} value of each card.
+ * @throws {Error} if selection is empty, or an element does not have a value and this.productListSelectors.card is not present.
+ */
+function mapCards($, selector, read, valueName) {
+    return selectInCards.call(this, $, selector).map($els => {
+        const value = $els.length ? read($els.first()) : undefined;
+
+        if (value === undefined && !this.productListSelectors.card) {
+            throw new Error(`Element selected by ${selector} does not have ${valueName}`);
+        }
+
+        return value ?? null;
+    });
+}
+
+module.exports = {
+    selectInCards,
+    mapCards
+};
\ No newline at end of file
@@ -7,8 +7,24 @@
 
 const _ = require('lodash');
 const cheerio = require('cheerio');
+const { stopReasons, getPageFingerprint, validatePagination, getPageUrl, isLinkedPagination, isSameUrl, getFirstPageUrl } = require('./pagination.js');
+const { parseNumber } = require('./price.js');
+const { validateTransforms } = require('./transforms.js');
 const is = require('./is.js');
 
+/**
+ * Fields of records that custom fields would overwrite or be overwritten by, by a name of custom fields.
+ * Product page records are results of extractProductBasicInfo and scrapeProduct,
+ * and product list records are results of extractProductsBasicInfoFromList and crawlCatalog.
+ *
+ * @private
+ */
+const RESERVED_FIELDS = {
+    productPageFields: ['id', 'name', 'brand', 'description', 'imageUrls', 'price', 'availability', 'specs', 'breadcrumbs',
+                        'rating', 'reviews', 'variants', 'url', 'diagnostics'],
+    productListFields: ['name', 'brand', 'url', 'criteria']
+};
+
 class ProductScraper {
     /**
      * @constructs ProductScraper
@@ -21,11 +37,29 @@ class ProductScraper {
      * @param {string} [config.productPageSelectors.name] - selector for an element containing a product name.
      * @param {string} [config.productPageSelectors.images] - selector for product images.
      * @param {string} [config.productPageSelectors.description] - selector for a product description.
+     * @param {string} [config.productPageSelectors.price] - selector for a product price (if it also contains an old price, both are recognized).
+     * @param {string} [config.productPageSelectors.oldPrice] - selector for a product price before a discount.
+     * @param {string} [config.productPageSelectors.availability] - selector for an element describing product availability.
+     * @param {string} [config.productPageSelectors.variants] - selector for a container of each product variant (e.g. a size or a colour).
+     * @param {string} [config.productPageSelectors.specs] - selector for product specifications: a table, a definition list or "label: value" rows.
+     * If present, specifications are included in results of extractProductBasicInfo.
+     * @param {string} [config.productPageSelectors.breadcrumbs] - selector for each breadcrumb of a product page (e.g. ".breadcrumbs li").
+     * If present, breadcrumbs are included in results of extractProductBasicInfo. A JSON-LD BreadcrumbList is used when it does not match any element.
+     * @param {string} [config.productPageSelectors.rating] - selector for an element containing an average product rating.
+     * @param {string} [config.productPageSelectors.reviewCount] - selector for an element containing a number of product reviews.
+     * @param {string} [config.productPageSelectors.reviews] - selector for each review on a product page or a review page.
      * @param {Object} [config.productListSelectors] - selectors of a product list (a list of product cards on a catalog page or search results page).
+     * @param {string} [config.productListSelectors.card] - selector for a container of each product card. If present, the other selectors
+     * (and selectors of config.productListFields) are resolved relative to each card, and a field of a card without a selected element is null.
+     * Otherwise, elements of each selector in the whole page are matched to product cards by their indexes.
      * @param {string} [config.productListSelectors.names] - selector for a product name in each product card.
      * @param {string} [config.productListSelectors.links] - selector for a link to a product page in each product card.
      * @param {string} [config.productListSelectors.images] - selector for a product main image in each product card.
      * @param {string} [config.productListSelectors.descriptions] - selector for a product description in each product card.
+     * @param {string} [config.productListSelectors.prices] - selector for a product price in each product card.
+     * @param {string} [config.productListSelectors.availabilities] - selector for an element describing product availability in each product card.
+     * @param {string} [config.productListSelectors.ratings] - selector for an average product rating in each product card.
+     * @param {string} [config.productListSelectors.reviewCounts] - selector for a number of product reviews in each product card.
      * @param {Object} [config.productPageOptions] - options for the extraction of product page data.
      * @param {string} [config.productPageOptions.idFormat] - format of a product ID, which must be a value from ProductScraper.idFormats.
      * Used when a product ID cannot be extracted solely via config.productPageSelectors.id (e.g. textContent of a selected element is "ID: 0123" and not the "0123"). 
@@ -33,6 +67,68 @@ class ProductScraper {
      * of an element selected by config.productPageSelectors.id.
      * @param {boolean} [config.productPageOptions.hasDescriptionLabel=false] - set this to true to remove the first word from a product description.
      * Used when a text has the "description label" (i.e. the word "Description:" in the beginning).
+     * @param {Object<string, Array<string>>} [config.productPageOptions.sources] - priority order of sources for each field of a product page
+     * (id, name, description, images, price, availability, rating and reviews). Each source must be a value from ProductScraper.productPageSources:
+     * "selector" (config.productPageSelectors), "jsonLd", "microdata" (including RDFa) or "openGraph".
+     * A source is skipped if it does not provide a field. By default, the order is the same as in ProductScraper.productPageSources.
+     * @param {Object} [config.priceOptions] - options for parsing prices.
+     * @param {string} [config.priceOptions.locale] - locale of prices (e.g. "ru-RU"), which determines a decimal separator.
+     * If not present, a decimal separator is guessed for each price.
+     * @param {string} [config.priceOptions.currency] - ISO 4217 code of a currency used when a price does not specify any.
+     * @param {Object} [config.availabilityOptions] - options for normalizing availability to a value from ProductScraper.availabilities:
+     * "in_stock", "out_of_stock", "preorder" or "unknown" (when a value does not match any matcher).
+     * @param {string} [config.availabilityOptions.attribute] - attribute of selected elements to read availability from.
+     * If not present, text contents are read.
+     * @param {Object<string, Array<string>>} [config.availabilityOptions.matchers] - case-insensitive substrings of a website's wording
+     * for "in_stock", "out_of_stock" and "preorder" (e.g. { preorder: ['ships in'] }). Each of them replaces the default matchers of its availability.
+     * @param {Object} [config.specsOptions] - options for the extraction of product specifications.
+     * @param {boolean} [config.specsOptions.normalizeKeys=false] - set this to true to turn keys into lower-case words joined by underscores
+     * (e.g. "Screen size:" into "screen_size").
+     * @param {string} [config.specsOptions.separator=':'] - separator of a label and a value in text rows.
+     * @param {Object} [config.reviewSelectors] - selectors inside each review selected by config.productPageSelectors.reviews.
+     * If a selector is not present, the field is read from an attribute of the review element (see config.reviewOptions.attributes) or it is null.
+     * @param {string} [config.reviewSelectors.author] - selector for a review author.
+     * @param {string} [config.reviewSelectors.date] - selector for a review date.
+     * @param {string} [config.reviewSelectors.score] - selector for a review score.
+     * @param {string} [config.reviewSelectors.text] - selector for a review text.
+     * @param {Object} [config.reviewOptions] - options for the extraction of ratings and reviews.
+     * @param {Object<string, string>} [config.reviewOptions.attributes] - attributes to read values from instead of text contents
+     * by field name: author, date, score, text, rating and reviewCount (e.g. { date: 'datetime', rating: 'data-rating' }).
+     * Ratings and review counts are read from the selectors of config.productPageSelectors and config.productListSelectors.
+     * @param {Object} [config.variantSelectors] - selectors inside a container of a product variant.
+     * If a selector is not present, the field is read from an attribute of the container (see config.variantOptions.attributes).
+     * @param {string} [config.variantSelectors.id] - selector for a variant ID (e.g. SKU).
+     * @param {string} [config.variantSelectors.name] - selector for a variant name.
+     * @param {string} [config.variantSelectors.price] - selector for a variant price.
+     * @param {string} [config.variantSelectors.availability] - selector for an element describing variant availability.
+     * @param {string} [config.variantSelectors.images] - selector for variant images.
+     * @param {Object<string, string>} [config.variantSelectors.options] - selectors for variant options by their names (e.g. { size: '.size' }).
+     * @param {Object} [config.variantOptions] - options for the extraction of product variants.
+     * @param {Object<string, string>} [config.variantOptions.attributes] - attributes to read fields of a variant from instead of text contents
+     * (e.g. { id: 'data-sku', images: 'data-src' }). Images are read from config.imageOptions.sources by default.
+     * @param {string} [config.variantOptions.jsonSelector] - selector for a script with embedded JSON of variants.
+     * Used when config.productPageSelectors.variants does not match any element.
+     * @param {string} [config.variantOptions.jsonPath] - path of an array of variants inside embedded JSON (e.g. "product.variants").
+     * @param {Object} [config.variantOptions.jsonFields] - paths of fields inside each variant of embedded JSON
+     * (id, name, price, currency, availability, images, and options as an object of paths by option names).
+     * @param {Object<string, Object>} [config.productPageFields] - custom fields of a product page by their names,
+     * which are included in results of extractProductBasicInfo. A name cannot be one of ProductScraper.productFields, brand, url or diagnostics.
+     * @param {string} config.productPageFields[].selector - selector for elements containing a field value.
+     * @param {string} [config.productPageFields[].attribute] - attribute to read a value from. If not present, text contents are read.
+     * @param {boolean} [config.productPageFields[].multiple=false] - set this to true to get an array of values of all selected elements.
+     * Otherwise, only the first selected element is read.
+     * @param {any} [config.productPageFields[].default=null] - value used when a field is not found.
+     * @param {Array<string|Array|Function>} [config.productPageFields[].transforms] - chain of transforms of a value.
+     * Each transform is a name from ProductScraper.fieldTransforms, an array of a name and arguments (e.g. ['regex', '(\\d+) kg', 1]),
+     * or a function of a value.
+     * @param {Object<string, Object>} [config.productListFields] - custom fields of each product card by their names,
+     * which are included in results of extractProductsBasicInfoFromList. Fields have the same options as config.productPageFields.
+     * A name cannot be name, brand, url or criteria.
+     * @param {Object} [config.imageOptions] - options for the extraction of image URLs.
+     * @param {Array<string>} [config.imageOptions.sources] - attributes of image elements to read a URL from, in order of priority.
+     * Attributes named "srcset" or ending with "-srcset" give their highest-resolution candidate. Special sources are also supported:
+     * "picture" (<source> elements of an enclosing <picture>) and "background-image" (inline style). Inline data: URLs are skipped.
+     * By default: data-src, data-lazy, data-lazy-src, data-original, srcset, data-srcset, picture, src, background-image.
      * @param {Object} [config.placeholders] - placeholders for a product card.
      * @param {string} [config.placeholders.image] - URL of the placeholder image.
      * @param {string} [config.placeholders.description] - full text of the placeholder description.
@@ -42,8 +138,27 @@ class ProductScraper {
      * config.paginations.search[0] + productName + config.paginations.search[1] + N.
      * So, each of the following paginations should be an array of two strings.
      * If only one string is provided, then only a search without considering pagination is available.
-     * @param {Array<string>} [config.paginations.catalog] - catalog pagination URL.
-     * @param {Array<string>} [config.paginations.search] - search pagination URL.
+     * Alternatively, each of them can be a pagination strategy object:
+     * { url, first, last, pageSize, nextSelector, totalSelector }, and options of config.paginationOptions (see paginate), where url is a template with placeholders:
+     * {query} or {criteria} (URL-encoded criteria), {page} (page number) and {offset} (pageSize * number of previous pages),
+     * e.g. { url: 'https://example.com/search?q={query}&offset={offset}&limit=24', pageSize: 24 }.
+     * @param {Array<string>|Object} [config.paginations.catalog] - catalog pagination URL.
+     * @param {Array<string>|Object} [config.paginations.search] - search pagination URL.
+     * @param {Array<string>|Object} [config.paginations.reviews] - review pagination URL, where a criteria is usually a product ID.
+     * @param {Object} [config.paginationOptions] - options for detecting the end of each pagination, which a pagination strategy
+     * of config.paginations may override (see paginate).
+     * @param {boolean} [config.paginationOptions.fingerprints=true] - set this to false to not stop when a page has the same results as a previous one.
+     * @param {boolean} [config.paginationOptions.stopOnRedirect=false] - set this to true to stop when a page is redirected to another URL
+     * (e.g. when a website redirects a page number out of range to the first page).
+     * @param {string} [config.paginationOptions.emptySelector] - selector for an element of a page without results (e.g. ".no-results").
+     * @param {number} [config.paginationOptions.maxPages=0] - maximum number of pages to fetch (0 means no limit).
+     * @param {Function<Object>: void} [config.paginationOptions.onStop] - function called with { reason, pageNum, url, error? }
+     * when an iteration over a pagination stops.
+     * @param {Object} [config.sitemapOptions] - options for the discovery of product pages via sitemaps.
+     * @param {Array<string>} [config.sitemapOptions.urls] - URLs of sitemaps or sitemap indexes (plain or gzipped).
+     * By default, /sitemap.xml of config.baseUrl.
+     * @param {string} [config.sitemapOptions.productUrlPattern] - regular expression that URLs of product pages match (e.g. "/products/\\d+$").
+     * If not present, all URLs of sitemaps are considered product pages.
      * @param {Object} [config.fuseOptionsBrand] - options for Fuse.js when searching for a product by name and brand.
      * @param {number} [config.fuseOptionsBrand.firstScore=0.19] - threshold for a first score.
      * This is the maximum first score allowed to consider a first product as similar to what is searched.
@@ -56,6 +171,32 @@ class ProductScraper {
      * @param {number} [config.fuseOptionsBrandless.firstScoreWarning=0.11] - second threshold for a first score.
      * Used to warn that a first product should be checked, as no guarantees apply.
      * @param {number} [config.fuseOptionsBrandless.difference=0.03] - threshold for a difference between first and second scores.
+     * @param {Object} [config.http] - options of HTTP requests.
+     * @param {Object<string, string>} [config.http.headers] - headers sent with each request (e.g. User-Agent, Accept-Language).
+     * @param {Object<string, string>} [config.http.cookies] - cookie jar sent with each request. Cookies set by a website's server are stored there.
+     * @param {Function} [config.http.fetch] - fetch implementation with the same interface as the global fetch, which is used if not present.
+     * @param {Object} [config.http.retry] - retries of failed requests.
+     * @param {number} [config.http.retry.attempts=3] - maximum number of attempts of each request (1 means no retries).
+     * @param {number} [config.http.retry.delay=500] - delay in milliseconds before the first retry.
+     * @param {number} [config.http.retry.factor=2] - multiplier of a delay before each next retry.
+     * @param {number} [config.http.retry.maxDelay=30000] - maximum delay in milliseconds before a retry (including one requested via Retry-After).
+     * @param {number} [config.http.retry.jitter=0.5] - maximum fraction of a delay that is randomly subtracted from it.
+     * @param {Array<number>} [config.http.retry.statusCodes=[408, 425, 429, 500, 502, 503, 504]] - status codes of responses to retry.
+     * Network errors (NetworkError) are always retried, and other errors (e.g. an invalid URL) are never retried.
+     * @param {Object} [config.http.rateLimit] - limits of requests to the website's host. They apply to all ProductScraper instances requesting the same host.
+     * @param {number} [config.http.rateLimit.requestsPerSecond=0] - maximum number of requests per second (0 means no limit).
+     * @param {number} [config.http.rateLimit.minDelay=0] - minimum delay in milliseconds between starts of two requests.
+     * @param {number} [config.http.rateLimit.maxConcurrent=0] - maximum number of parallel requests (0 means no limit).
+     * @param {boolean} [config.respectRobots=false] - set this to true to honour robots.txt of websites.
+     * URLs disallowed for the User-Agent of config.http.headers are not requested, and Crawl-delay is used as a minimum delay between requests.
+     * @param {Object} [config.cache] - on-disk cache of fetched pages.
+     * @param {string} [config.cache.dir] - cache directory. If not present, pages are not cached.
+     * @param {number} [config.cache.ttl=0] - time in milliseconds during which a cached page is used without any request.
+     * After that, the page is revalidated using its ETag and Last-Modified headers (if any).
+     * @param {Object} [config.fixtures] - fixtures of responses, so methods can be run offline against recorded pages.
+     * @param {string} [config.fixtures.mode='off'] - "record" to save every response to config.fixtures.dir,
+     * "replay" to serve responses solely from there (so any URL that was not recorded fails), or "off".
+     * @param {string} [config.fixtures.dir] - fixture directory. Required in the "record" and "replay" modes.
      * @returns {ProductScraper}
      */
     constructor(config = {}) {
@@ -67,21 +208,75 @@ class ProductScraper {
         is.invalidType('config.productPageSelectors.name', 'string', config.productPageSelectors?.name, true);
         is.invalidType('config.productPageSelectors.images', 'string', config.productPageSelectors?.images, true);
         is.invalidType('config.productPageSelectors.description', 'string', config.productPageSelectors?.description, true);
+        is.invalidType('config.productPageSelectors.price', 'string', config.productPageSelectors?.price, true);
+        is.invalidType('config.productPageSelectors.oldPrice', 'string', config.productPageSelectors?.oldPrice, true);
+        is.invalidType('config.productPageSelectors.availability', 'string', config.productPageSelectors?.availability, true);
+        is.invalidType('config.productPageSelectors.variants', 'string', config.productPageSelectors?.variants, true);
+        is.invalidType('config.productPageSelectors.specs', 'string', config.productPageSelectors?.specs, true);
+        is.invalidType('config.productPageSelectors.breadcrumbs', 'string', config.productPageSelectors?.breadcrumbs, true);
+        is.invalidType('config.productPageSelectors.rating', 'string', config.productPageSelectors?.rating, true);
+        is.invalidType('config.productPageSelectors.reviewCount', 'string', config.productPageSelectors?.reviewCount, true);
+        is.invalidType('config.productPageSelectors.reviews', 'string', config.productPageSelectors?.reviews, true);
         is.invalidType('config.productListSelectors', 'object', config.productListSelectors, true);
+        is.invalidType('config.productListSelectors.card', 'string', config.productListSelectors?.card, true);
         is.invalidType('config.productListSelectors.names', 'string', config.productListSelectors?.names, true);
         is.invalidType('config.productListSelectors.links', 'string', config.productListSelectors?.links, true);
         is.invalidType('config.productListSelectors.images', 'string', config.productListSelectors?.images, true);
         is.invalidType('config.productListSelectors.descriptions', 'string', config.productListSelectors?.descriptions, true);
+        is.invalidType('config.productListSelectors.prices', 'string', config.productListSelectors?.prices, true);
+        is.invalidType('config.productListSelectors.availabilities', 'string', config.productListSelectors?.availabilities, true);
+        is.invalidType('config.productListSelectors.ratings', 'string', config.productListSelectors?.ratings, true);
+        is.invalidType('config.productListSelectors.reviewCounts', 'string', config.productListSelectors?.reviewCounts, true);
         is.invalidType('config.productPageOptions', 'object', config.productPageOptions, true);
         is.invalidType('config.productPageOptions.idFormat', 'string', config.productPageOptions?.idFormat, true);
         is.invalidType('config.productPageOptions.idMatchIndex', 'number', config.productPageOptions?.idMatchIndex, true);
         is.invalidType('config.productPageOptions.hasDescriptionLabel', 'boolean', config.productPageOptions?.hasDescriptionLabel, true);
+        is.invalidType('config.productPageOptions.sources', 'object', config.productPageOptions?.sources, true);
+        is.invalidType('config.priceOptions', 'object', config.priceOptions, true);
+        is.invalidType('config.priceOptions.locale', 'string', config.priceOptions?.locale, true);
+        is.invalidType('config.priceOptions.currency', 'string', config.priceOptions?.currency, true);
+        is.invalidType('config.availabilityOptions', 'object', config.availabilityOptions, true);
+        is.invalidType('config.availabilityOptions.attribute', 'string', config.availabilityOptions?.attribute, true);
+        is.invalidType('config.availabilityOptions.matchers', 'object', config.availabilityOptions?.matchers, true);
+        is.invalidType('config.reviewSelectors', 'object', config.reviewSelectors, true);
+        is.invalidType('config.reviewSelectors.author', 'string', config.reviewSelectors?.author, true);
+        is.invalidType('config.reviewSelectors.date', 'string', config.reviewSelectors?.date, true);
+        is.invalidType('config.reviewSelectors.score', 'string', config.reviewSelectors?.score, true);
+        is.invalidType('config.reviewSelectors.text', 'string', config.reviewSelectors?.text, true);
+        is.invalidType('config.reviewOptions', 'object', config.reviewOptions, true);
+        is.invalidType('config.reviewOptions.attributes', 'object', config.reviewOptions?.attributes, true);
+        is.invalidType('config.specsOptions', 'object', config.specsOptions, true);
+        is.invalidType('config.specsOptions.normalizeKeys', 'boolean', config.specsOptions?.normalizeKeys, true);
+        is.invalidType('config.specsOptions.separator', 'string', config.specsOptions?.separator, true);
+        is.invalidType('config.variantSelectors', 'object', config.variantSelectors, true);
+        is.invalidType('config.variantSelectors.id', 'string', config.variantSelectors?.id, true);
+        is.invalidType('config.variantSelectors.name', 'string', config.variantSelectors?.name, true);
+        is.invalidType('config.variantSelectors.price', 'string', config.variantSelectors?.price, true);
+        is.invalidType('config.variantSelectors.availability', 'string', config.variantSelectors?.availability, true);
+        is.invalidType('config.variantSelectors.images', 'string', config.variantSelectors?.images, true);
+        is.invalidType('config.variantSelectors.options', 'object', config.variantSelectors?.options, true);
+        is.invalidType('config.variantOptions', 'object', config.variantOptions, true);
+        is.invalidType('config.variantOptions.attributes', 'object', config.variantOptions?.attributes, true);
+        is.invalidType('config.variantOptions.jsonSelector', 'string', config.variantOptions?.jsonSelector, true);
+        is.invalidType('config.variantOptions.jsonPath', 'string', config.variantOptions?.jsonPath, true);
+        is.invalidType('config.variantOptions.jsonFields', 'object', config.variantOptions?.jsonFields, true);
+        is.invalidType('config.productPageFields', 'object', config.productPageFields, true);
+        is.invalidType('config.productListFields', 'object', config.productListFields, true);
+        is.invalidType('config.imageOptions', 'object', config.imageOptions, true);
+        is.invalidType('config.imageOptions.sources', 'array', config.imageOptions?.sources, true);
         is.invalidType('config.placeholders', 'object', config.placeholders, true);
         is.invalidType('config.placeholders.image', 'string', config.placeholders?.image, true);
         is.invalidType('config.placeholders.description', 'string', config.placeholders?.description, true);
         is.invalidType('config.paginations', 'object', config.paginations, true);
-        is.invalidType('config.paginations.catalog', 'array', config.paginations?.catalog, true);
-        is.invalidType('config.paginations.search', 'array', config.paginations?.search, true);
+        is.invalidType('config.paginationOptions', 'object', config.paginationOptions, true);
+        is.invalidType('config.paginationOptions.fingerprints', 'boolean', config.paginationOptions?.fingerprints, true);
+        is.invalidType('config.paginationOptions.stopOnRedirect', 'boolean', config.paginationOptions?.stopOnRedirect, true);
+        is.invalidType('config.paginationOptions.emptySelector', 'string', config.paginationOptions?.emptySelector, true);
+        is.invalidType('config.paginationOptions.maxPages', 'number', config.paginationOptions?.maxPages, true);
+        is.invalidType('config.paginationOptions.onStop', 'function', config.paginationOptions?.onStop, true);
+        is.invalidType('config.sitemapOptions', 'object', config.sitemapOptions, true);
+        is.invalidType('config.sitemapOptions.urls', 'array', config.sitemapOptions?.urls, true);
+        is.invalidType('config.sitemapOptions.productUrlPattern', 'string', config.sitemapOptions?.productUrlPattern, true);
         is.invalidType('config.fuseOptionsBrand', 'object', config.fuseOptionsBrand, true);
         is.invalidType('config.fuseOptionsBrand.firstScore', 'number', config.fuseOptionsBrand?.firstScore, true);
         is.invalidType('config.fuseOptionsBrand.firstScoreWarning', 'number', config.fuseOptionsBrand?.firstScoreWarning, true);
@@ -90,17 +285,93 @@ class ProductScraper {
         is.invalidType('config.fuseOptionsBrandless.firstScore', 'number', config.fuseOptionsBrandless?.firstScore, true);
         is.invalidType('config.fuseOptionsBrandless.firstScoreWarning', 'number', config.fuseOptionsBrandless?.firstScoreWarning, true);
         is.invalidType('config.fuseOptionsBrandless.difference', 'number', config.fuseOptionsBrandless?.difference, true);
+        is.invalidType('config.http', 'object', config.http, true);
+        is.invalidType('config.http.headers', 'object', config.http?.headers, true);
+        is.invalidType('config.http.cookies', 'object', config.http?.cookies, true);
+        is.invalidType('config.http.fetch', 'function', config.http?.fetch, true);
+        is.invalidType('config.http.retry', 'object', config.http?.retry, true);
+        is.invalidType('config.http.retry.attempts', 'number', config.http?.retry?.attempts, true);
+        is.invalidType('config.http.retry.delay', 'number', config.http?.retry?.delay, true);
+        is.invalidType('config.http.retry.factor', 'number', config.http?.retry?.factor, true);
+        is.invalidType('config.http.retry.maxDelay', 'number', config.http?.retry?.maxDelay, true);
+        is.invalidType('config.http.retry.jitter', 'number', config.http?.retry?.jitter, true);
+        is.invalidType('config.http.retry.statusCodes', 'array', config.http?.retry?.statusCodes, true);
+        is.invalidType('config.http.rateLimit', 'object', config.http?.rateLimit, true);
+        is.invalidType('config.http.rateLimit.requestsPerSecond', 'number', config.http?.rateLimit?.requestsPerSecond, true);
+        is.invalidType('config.http.rateLimit.minDelay', 'number', config.http?.rateLimit?.minDelay, true);
+        is.invalidType('config.http.rateLimit.maxConcurrent', 'number', config.http?.rateLimit?.maxConcurrent, true);
+        is.invalidType('config.respectRobots', 'boolean', config.respectRobots, true);
+        is.invalidType('config.cache', 'object', config.cache, true);
+        is.invalidType('config.cache.dir', 'string', config.cache?.dir, true);
+        is.invalidType('config.cache.ttl', 'number', config.cache?.ttl, true);
+        is.invalidType('config.fixtures', 'object', config.fixtures, true);
+        is.invalidType('config.fixtures.mode', 'string', config.fixtures?.mode, true);
+        is.invalidType('config.fixtures.dir', 'string', config.fixtures?.dir, true);
 
         if (config.brands && !config.brands.every(is.string)) {
             throw is.invalidTypeError('config.brands', 'array of strings', config.brands);
         }
 
-        if (config.paginations?.catalog && !config.paginations.catalog.every(is.string)) {
-            throw is.invalidTypeError('config.paginations.catalog', 'array of strings', config.paginations.catalog);
+        for (const [name, pagination] of Object.entries(config.paginations || {})) {
+            validatePagination(`config.paginations.${name}`, pagination);
+        }
+
+        for (const [field, sources] of Object.entries(config.productPageOptions?.sources || {})) {
+            if (!is.array(sources) || !sources.every(is.string)) {
+                throw is.invalidTypeError(`config.productPageOptions.sources.${field}`, 'array of strings', sources);
+            }
+        }
+
+        for (const [availability, matchers] of Object.entries(config.availabilityOptions?.matchers || {})) {
+            if (!is.array(matchers) || !matchers.every(is.string)) {
+                throw is.invalidTypeError(`config.availabilityOptions.matchers.${availability}`, 'array of strings', matchers);
+            }
+        }
+
+        for (const fieldsName of ['productPageFields', 'productListFields']) {
+            for (const [field, schema] of Object.entries(config[fieldsName] || {})) {
+                const name = `config.${fieldsName}.${field}`;
+
+                if (RESERVED_FIELDS[fieldsName].includes(field)) {
+                    throw new Error(`${name} cannot be a custom field, as records already have a field ${field}`);
+                }
+
+                is.invalidType(name, 'object', schema);
+                is.invalidType(`${name}.selector`, 'string', schema.selector);
+                is.invalidType(`${name}.attribute`, 'string', schema.attribute, true);
+                is.invalidType(`${name}.multiple`, 'boolean', schema.multiple, true);
+                is.invalidType(`${name}.transforms`, 'array', schema.transforms, true);
+
+                if (schema.transforms) validateTransforms(`${name}.transforms`, schema.transforms);
+            }
+        }
+
+        if (config.imageOptions?.sources && !config.imageOptions.sources.every(is.string)) {
+            throw is.invalidTypeError('config.imageOptions.sources', 'array of strings', config.imageOptions.sources);
+        }
+
+        if (config.sitemapOptions?.urls && !config.sitemapOptions.urls.every(is.string)) {
+            throw is.invalidTypeError('config.sitemapOptions.urls', 'array of strings', config.sitemapOptions.urls);
+        }
+
+        if (config.sitemapOptions?.productUrlPattern) {
+            try {
+                new RegExp(config.sitemapOptions.productUrlPattern);
+            } catch (e) {
+                throw new Error('config.sitemapOptions.productUrlPattern is not a valid regular expression', { cause: e });
+            }
+        }
+
+        if (config.http?.retry?.statusCodes && !config.http.retry.statusCodes.every(is.number)) {
+            throw is.invalidTypeError('config.http.retry.statusCodes', 'array of numbers', config.http.retry.statusCodes);
         }
 
-        if (config.paginations?.search && !config.paginations.search.every(is.string)) {
-            throw is.invalidTypeError('config.paginations.search', 'array of strings', config.paginations.search);
+        if (config.fixtures?.mode && !['off', 'record', 'replay'].includes(config.fixtures.mode)) {
+            throw new Error(`Unknown fixtures mode ${config.fixtures.mode}`);
+        }
+
+        if (['record', 'replay'].includes(config.fixtures?.mode) && !config.fixtures.dir) {
+            throw new Error(`config.fixtures.dir is required in the ${config.fixtures.mode} mode`);
         }
 
         this.config = {
@@ -110,18 +381,90 @@ class ProductScraper {
                 id: '',
                 name: '',
                 images: '',
-                description: ''
+                description: '',
+                price: '',
+                oldPrice: '',
+                availability: '',
+                variants: '',
+                specs: '',
+                breadcrumbs: '',
+                rating: '',
+                reviewCount: '',
+                reviews: ''
             },
             productListSelectors: {
+                card: '',
                 names: '',
                 links: '',
                 images: '',
-                descriptions: ''
+                descriptions: '',
+                prices: '',
+                availabilities: '',
+                ratings: '',
+                reviewCounts: ''
             },
             productPageOptions: {
                 idFormat: '',
                 idMatchIndex: 0,
-                hasDescriptionLabel: false
+                hasDescriptionLabel: false,
+                sources: {
+                    id: ['selector', 'jsonLd', 'microdata', 'openGraph'],
+                    name: ['selector', 'jsonLd', 'microdata', 'openGraph'],
+                    description: ['selector', 'jsonLd', 'microdata', 'openGraph'],
+                    images: ['selector', 'jsonLd', 'microdata', 'openGraph'],
+                    price: ['selector', 'jsonLd', 'microdata', 'openGraph'],
+                    availability: ['selector', 'jsonLd', 'microdata', 'openGraph'],
+                    rating: ['selector', 'jsonLd', 'microdata', 'openGraph'],
+                    reviews: ['selector', 'jsonLd', 'microdata', 'openGraph']
+                }
+            },
+            priceOptions: {
+                locale: '',
+                currency: ''
+            },
+            availabilityOptions: {
+                attribute: '',
+                matchers: {}
+            },
+            reviewSelectors: {
+                author: '',
+                date: '',
+                score: '',
+                text: ''
+            },
+            reviewOptions: {
+                attributes: {}
+            },
+            specsOptions: {
+                normalizeKeys: false,
+                separator: ':'
+            },
+            variantSelectors: {
+                id: '',
+                name: '',
+                price: '',
+                availability: '',
+                images: '',
+                options: {}
+            },
+            variantOptions: {
+                attributes: {},
+                jsonSelector: '',
+                jsonPath: '',
+                jsonFields: {
+                    id: 'id',
+                    name: 'name',
+                    price: 'price',
+                    currency: 'currency',
+                    availability: 'availability',
+                    images: 'images',
+                    options: {}
+                }
+            },
+            productPageFields: {},
+            productListFields: {},
+            imageOptions: {
+                sources: ['data-src', 'data-lazy', 'data-lazy-src', 'data-original', 'srcset', 'data-srcset', 'picture', 'src', 'background-image']
             },
             placeholders: {
                 image: '',
@@ -129,7 +472,19 @@ class ProductScraper {
             },
             paginations: {
                 catalog: ['', ''],
-                search: ['', '']
+                search: ['', ''],
+                reviews: ['', '']
+            },
+            paginationOptions: {
+                fingerprints: true,
+                stopOnRedirect: false,
+                emptySelector: '',
+                maxPages: 0,
+                onStop: undefined
+            },
+            sitemapOptions: {
+                urls: [],
+                productUrlPattern: ''
             },
             fuseOptionsBrand: {
                 firstScore: 0.19,
@@ -140,14 +495,69 @@ class ProductScraper {
                 firstScore: 0.19,
                 firstScoreWarning: 0.11,
                 difference: 0.03
+            },
+            http: {
+                headers: {},
+                cookies: {},
+                fetch: undefined,
+                retry: {
+                    attempts: 3,
+                    delay: 500,
+                    factor: 2,
+                    maxDelay: 30000,
+                    jitter: 0.5,
+                    statusCodes: [408, 425, 429, 500, 502, 503, 504]
+                },
+                rateLimit: {
+                    requestsPerSecond: 0,
+                    minDelay: 0,
+                    maxConcurrent: 0
+                }
+            },
+            respectRobots: false,
+            cache: {
+                dir: '',
+                ttl: 0
+            },
+            fixtures: {
+                mode: 'off',
+                dir: ''
             }
         };
 
         this.controller = new AbortController();
         this.signal = this.controller.signal;
+
+        // Rules of robots.txt by origin
+        this.robotsTxt = new Map();
+
+        // Promises of results of hasSearchResult by search URL
+        this.searchResults = new Map();
         
         _.merge(this.config, config);
 
+        // Arrays below replace the default ones instead of being merged with them by index
+        if (config.http?.retry?.statusCodes) {
+            this.config.http.retry.statusCodes = [...config.http.retry.statusCodes];
+        }
+
+        for (const [field, sources] of Object.entries(config.productPageOptions?.sources || {})) {
+            this.config.productPageOptions.sources[field] = [...sources];
+        }
+
+        // Pagination strategies replace the default prefix and suffix arrays
+        for (const [name, pagination] of Object.entries(config.paginations || {})) {
+            if (!is.array(pagination)) this.config.paginations[name] = { ...pagination };
+        }
+
+        if (config.imageOptions?.sources) {
+            this.config.imageOptions.sources = [...config.imageOptions.sources];
+        }
+
+        if (config.sitemapOptions?.urls) {
+            this.config.sitemapOptions.urls = [...config.sitemapOptions.urls];
+        }
+
         // Shortcuts for object values of config
         for (const [key, value] of Object.entries(this.config)) {
             if (is.object(value) && key !== 'config') this[key] = value;
@@ -159,15 +569,11 @@ class ProductScraper {
     /**
      * @param {string} url
      * @returns {Promise<CheerioAPI>}
+     * @throws {HttpError} if a server responds with a non-2xx status code.
      */
     async fetchCheerioAPI(url) {
-        try {
-            const response = await fetch(url, { signal: this.signal });
-            const html = await response.text();
-            return cheerio.load(html);
-        } catch(e) {
-            throw new Error(`${url} is not a valid URL or is currently unavailable`);
-        }
+        const { html } = await this.fetchPage(url);
+        return cheerio.load(html);
     }
 
     /**
@@ -176,7 +582,7 @@ class ProductScraper {
      * @returns {Promise<CheerioAPI>}
      */
     search(query) {
-        return this.fetchCheerioAPI(this.paginations.search[0] + query);
+        return this.fetchCheerioAPI(getFirstPageUrl(this.paginations.search, query));
     }
 
     /**
@@ -187,61 +593,215 @@ class ProductScraper {
     }
 
     /**
+     * Get ready for new requests after abort, and forget memoized search results (see hasSearchResult).
+     * 
      * @returns {void}
      */
     reset() {
         this.controller = new AbortController();
         this.signal = this.controller.signal;
+        this.searchResults.clear();
     }
 
     /**
-     * Iterate over pagination.
+     * Iterate over pagination, yielding results of callback from each page as soon as the page is fetched.
+     * 
+     * Pages are fetched lazily, so breaking out of a for await loop stops further fetches.
      * 
-     * @param {Object} pagination - pagination options.
-     * @param {string} pagination.url - part of the pagination URL before a page number (so URL of the N-th page will be: pagination.url + N).
+     * @example
+     * const pagination = {
+     *     url: 'https://example.com/catalog?page=',
+     *     emptySelector: '.no-results',
+     *     onStop: ({ reason, pageNum }) => console.log(`Stopped on page ${pageNum}: ${reason}`)
+     * };
+     * 
+     * for await (const basicInfo of scraper.paginate(pagination, $ => scraper.extractProductsBasicInfoFromList($))) {
+     *     if (basicInfo.name === 'Product') break; // next pages are not fetched
+     * }
+     * 
+     * @param {Object} pagination - pagination options. Options that are not present are taken from this.paginationOptions.
+     * @param {string} pagination.url - URL of the first page, or a URL template with {page} and {offset} placeholders
+     * (see pagination.pageSize), or a part of the pagination URL before a page number (so URL of the N-th page will be: pagination.url + N).
      * @param {number} [pagination.first=1] - first page number to start iteration from.
+     * @param {number} [pagination.start] - page number to resume iteration from (pagination.first by default).
+     * Previous pages are considered fetched, so offsets, pagination.maxPages and the count of pagination.totalSelector
+     * (if pagination.pageSize is present) are the same as without it. Not supported when next pages are found by links.
      * @param {number} [pagination.last] - if present, last page number to stop iteration. Otherwise the iteration will stop once it reaches the end.
-     * The end of a pagination is determined by one of two factors. When fetch a pagination page that goes after the last one:
-     * 1. Either it doesn't have a product list and the callback throws an error (so it must throw it when a product list is empty).
-     * 2. Or a website's server sends one of paginations page again.
+     * The end of a pagination is determined by the options below. Besides, when a page that goes after the last one doesn't have a product list,
+     * the callback throws an error (so it must throw it when a product list is empty).
+     * @param {number} [pagination.pageSize] - number of products per page, which is required by the {offset} placeholder.
+     * @param {string} [pagination.nextSelector] - selector for a link to the next page. If present, the next page is the href of the link
+     * instead of the next page number, and the iteration stops on a page without the link. In this case, pagination.url without placeholders
+     * is the URL of the first page.
+     * @param {string} [pagination.totalSelector] - selector for an element containing a total number of products (e.g. "1,024 products").
+     * If present, the iteration stops once the callback has returned that many results.
+     * @param {string} [pagination.emptySelector] - selector for an element of a page without results (e.g. ".no-results").
+     * If it matches any element, the iteration stops without calling the callback.
+     * @param {number} [pagination.maxPages] - maximum number of pages to fetch (0 means no limit).
+     * @param {boolean} [pagination.fingerprints] - set this to false to disable the check that a website's server sends one of pagination pages again.
+     * Each page is identified by a hash of a set of its items, so the order of items and their repetitions on other pages do not matter.
+     * @param {Function<CheerioAPI>: Array} [pagination.pageItems] - function that returns items identifying a page. By default, results of callback.
+     * Used when callback does not return all items of a page (e.g. it filters product cards), so pages could not be told apart by its results.
+     * @param {boolean} [pagination.stopOnRedirect] - set this to true to stop when a page (except the first one) is redirected to another URL.
+     * @param {Function<Object>: void} [pagination.onStop] - function called with { reason, pageNum, url, error? } when the iteration stops,
+     * where reason is one of ProductScraper.paginationStopReasons, pageNum and url are of the page the iteration stopped at
+     * (for "last" and "maxPages", the first page that was not fetched), and error is an error of the callback (for "callbackError").
      * @param {Function<CheerioAPI>: Array} callback
-     * @returns {Promise<Array>} array that accumulates results of callback from each page.
+     * @yields {any} each element of results of callback.
+     * @returns {AsyncGenerator<any, {reason: string, pageNum: number, url: string, error?: Error}>} the return value describes why the iteration stopped.
      */
-    async iterateOverPagination(pagination, callback) {
+    async *paginate(pagination, callback) {
         is.invalidType('pagination', 'object', pagination);
-        is.invalidType('pagination.url', 'string', pagination.url);
-        is.invalidType('pagination.first', 'number', pagination.first, true);
-        is.invalidType('pagination.last', 'number', pagination.last, true);
+
+        // Prefix and suffix of a criteria are turned into pagination options by getPagination
+        if (is.array(pagination)) {
+            throw is.invalidTypeError('pagination', 'object', pagination);
+        }
+
+        validatePagination('pagination', pagination);
         is.invalidType('callback', 'function', callback);
 
-        const { url, first, last } = pagination;
-        let acc = [];
+        const options = { ...this.paginationOptions, ..._.omitBy(pagination, _.isUndefined) };
+        const { first = 1, start = first, last, pageSize, nextSelector, totalSelector, emptySelector, maxPages, fingerprints,
+                stopOnRedirect, onStop, pageItems } = options;
+        const visitedUrls = new Set();
+        const pageFingerprints = new Set();
 
-        const startPageNum = (first == undefined) ? 1 : first;
-        let pageNum = startPageNum;
+        const isLinked = isLinkedPagination(options);
 
-        while (last == undefined ? true : pageNum <= last) {
-            const $ = await this.fetchCheerioAPI(url + pageNum);
+        if (isLinked && start !== first) {
+            throw new Error('pagination.start is not supported when next pages are found by links');
+        }
 
-            try {
-                const data = callback($);
+        // Pages before the start one are considered fetched
+        const skippedPages = start - first;
+        let count = pageSize ? skippedPages * pageSize : 0;
+        let total = null;
 
-                /*  A simple check that the pagination range is exceeded: If a page reoccurs,
-                    one of selected elements will already be included in acc.
-                */
-                if (acc.find(val => _.isEqual(val, data[0]))) break;
+        let pageNum = start;
+        let url = isLinked ? options.url : getPageUrl(options, pageNum);
 
-                acc = acc.concat(data);
-            } catch (e) {
-                if (pageNum === startPageNum) throw e;
-                break; // The pagination range is probably exceeded
+        let stop = null;
+        let consuming = false;
+        const stopWith = (reason, error) => stop = _.omitBy({ reason, pageNum, url, error }, _.isUndefined);
+
+        try {
+            while (true) {
+                if (last != undefined && pageNum > last) {
+                    stopWith('last');
+                    break;
+                }
+
+                if (maxPages && visitedUrls.size + skippedPages >= maxPages) {
+                    stopWith('maxPages');
+                    break;
+                }
+
+                visitedUrls.add(url);
+
+                const page = await this.fetchPage(url);
+                const $ = cheerio.load(page.html);
+
+                if (stopOnRedirect && pageNum !== start && !isSameUrl(page.url, url)) {
+                    stopWith('redirect');
+                    break;
+                }
+
+                if (emptySelector && $(emptySelector).length) {
+                    stopWith('emptyResults');
+                    break;
+                }
+
+                let data;
+                let items;
+
+                try {
+                    data = callback($);
+                    items = pageItems ? pageItems($) : data;
+                } catch (e) {
+                    if (pageNum === start) throw e;
+                    stopWith('callbackError', e); // The pagination range is probably exceeded
+                    break;
+                }
+
+                // Pages without items cannot be told apart
+                if (fingerprints && items.length) {
+                    const fingerprint = getPageFingerprint(items);
+
+                    if (pageFingerprints.has(fingerprint)) {
+                        stopWith('repeatedPage');
+                        break;
+                    }
+
+                    pageFingerprints.add(fingerprint);
+                }
+
+                for (const item of data) {
+                    count++;
+                    consuming = true;
+                    yield item;
+                    consuming = false;
+                }
+
+                if (totalSelector && total === null) {
+                    total = parseNumber($(totalSelector).first().text());
+                }
+
+                if (total !== null && count >= total) {
+                    stopWith('total');
+                    break;
+                }
+
+                if (nextSelector) {
+                    const href = $(nextSelector).first().attr('href');
+
+                    if (!href) {
+                        stopWith('noNextLink');
+                        break;
+                    }
+
+                    const nextUrl = new URL(href, page.url).href;
+
+                    if (visitedUrls.has(nextUrl)) {
+                        stopWith('visitedNextLink');
+                        break;
+                    }
+
+                    pageNum++;
+                    url = nextUrl;
+                } else {
+                    pageNum++;
+                    url = getPageUrl(options, pageNum);
+                }
             }
 
-            pageNum++;
+            return stop;
+        } finally {
+            // Otherwise, an error is thrown to the consumer (e.g. an error of fetching)
+            if (!stop && consuming) stopWith('consumer');
+            if (onStop && stop) onStop(stop);
+        }
+    }
+
+    /**
+     * Iterate over pagination.
+     * 
+     * @param {Object} pagination - pagination options (see paginate).
+     * @param {Function<CheerioAPI>: Array} callback
+     * @returns {Promise<Array>} array that accumulates results of callback from each page.
+     */
+    async iterateOverPagination(pagination, callback) {
+        const acc = [];
+
+        for await (const item of this.paginate(pagination, callback)) {
+            acc.push(item);
         }
 
         return acc;
     }
 }
 
+// Reasons why paginate stops
+ProductScraper.paginationStopReasons = stopReasons;
+
 module.exports = ProductScraper;
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs/promises');
+const path = require('path');
+const { getPagination } = require('./pagination.js');
+const { parseSitemap } = require('./sitemap.js');
+const is = require('./is.js');
+
+/**
+ * Read a state of a catalog crawl.
+ *
+ * @param {string} file
+ * @returns {Promise<{done: Array<string>, current: {criteria: string, page: number}|null, urls: Array<string>}>}
+ * an initial state if the file does not exist.
+ * @throws {Error} if the file is not a state of a catalog crawl.
+ * @private
+ */
+async function readCrawlState(file) {
+    let state;
+
+    try {
+        state = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return { done: [], current: null, urls: [] };
+        throw new Error(`${file} is not a valid crawl state file`, { cause: e });
+    }
+
+    if (!is.object(state) || !is.array(state.done) || !is.array(state.urls)) {
+        throw new Error(`${file} is not a valid crawl state file`);
+    }
+
+    return { done: state.done, current: state.current || null, urls: state.urls };
+}
+
+/**
+ * Write a state of a catalog crawl.
+ *
+ * The state is written to a temporary file first, so an interrupted write does not corrupt a previous state.
+ *
+ * @param {string} file - it is created with its directory if it does not exist.
+ * @param {{done: Array<string>, current: {criteria: string, page: number}|null, urls: Set<string>}} state
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeCrawlState(file, state) {
+    const tmpFile = file + '.tmp';
+
+    try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tmpFile, JSON.stringify({ ...state, urls: [...state.urls] }));
+        await fs.rename(tmpFile, file);
+    } catch (e) {
+        throw new Error(`Crawl state cannot be saved to ${file}`, { cause: e });
+    }
+}
+
+/**
+ * Get a URL that identifies a product page, so the same page found by different criteria is recognized.
+ *
+ * @param {string} url
+ * @returns {string} URL without a fragment.
+ * @private
+ */
+function getDedupKey(url) {
+    try {
+        const parsedUrl = new URL(url);
+        parsedUrl.hash = '';
+        return parsedUrl.href;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Crawl catalog paginations of all criteria (e.g. all brands or categories), yielding a basic info of each product found.
+ *
+ * Each product page URL is yielded once, even if several criteria list it. Products without a URL are skipped.
+ * If options.stateFile is present, progress is saved there after each page and when the crawl stops (including by an error
+ * or a break of a for await loop), so the next crawl with the same file resumes where the previous one left off:
+ * completed criteria are skipped, an interrupted criteria continues from its last page that was not fully yielded,
+ * and URLs that were already yielded are not yielded again. Paginations with next links (see paginate)
+ * continue from their first page instead. Delete the file to crawl from scratch.
+ *
+ * @example
+ * const scraper = new ProductScraper({
+ *     baseUrl: 'https://example.com',
+ *     brands: ['Apple', 'Samsung'],
+ *     productListSelectors: { card: '.product-card', names: '.name', links: 'a' },
+ *     paginations: { catalog: { url: 'https://example.com/brands/{criteria}?page={page}' } }
+ * });
+ *
+ * for await (const basicInfo of scraper.crawlCatalog({ stateFile: './crawl-state.json' })) {
+ *     console.log(basicInfo); // { name: 'Apple iPhone 16', brand: 'Apple', url: 'https://example.com/products/0123', criteria: 'Apple' }
+ * }
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.criteria] - catalog pagination criteria to crawl. By default, this.config.brands.
+ * @param {string} [options.stateFile] - path of a JSON file to save progress to and resume from.
+ * @param {Array<string>|Object} this.paginations.catalog
+ * @param {string} this.productListSelectors.names
+ * @param {string} this.productListSelectors.links
+ * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
+ * @yields {{name: string|null, brand?: string|null, url: string, criteria: string}} basic info of each product (see extractProductsBasicInfoFromList)
+ * with criteria whose catalog it was found in first.
+ * @returns {AsyncGenerator}
+ * @throws {Error} if there are no criteria, or the state file is invalid or cannot be saved.
+ */
+async function* crawlCatalog(options = {}) {
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.criteria', 'array', options.criteria, true);
+    is.invalidType('options.stateFile', 'string', options.stateFile, true);
+
+    if (options.criteria && !options.criteria.every(is.string)) {
+        throw is.invalidTypeError('options.criteria', 'array of strings', options.criteria);
+    }
+
+    const allCriteria = _.uniq(options.criteria || this.config.brands);
+
+    if (allCriteria.length === 0) {
+        throw new Error('options.criteria or config.brands is required to crawl a catalog');
+    }
+
+    const { stateFile } = options;
+    const saved = stateFile ? await readCrawlState(stateFile) : { done: [], current: null, urls: [] };
+    const state = { done: saved.done, current: saved.current, urls: new Set(saved.urls) };
+    const save = async () => stateFile && await writeCrawlState(stateFile, state);
+
+    try {
+        for (const criteria of allCriteria) {
+            if (state.done.includes(criteria)) continue;
+
+            const pagination = getPagination(this.paginations.catalog, criteria);
+            const first = pagination.first ?? 1;
+
+            // Pages are numbered from the resumed one unless next pages are found by links
+            const resumed = state.current?.criteria === criteria && !pagination.nextSelector;
+            const startPage = resumed ? state.current.page : first;
+
+            state.current = { criteria, page: startPage };
+
+            let fetchedPage = startPage - 1;
+            const basicInfos = this.paginate({ ...pagination, start: startPage }, $ => {
+                fetchedPage++;
+                return this.extractProductsBasicInfoFromList($);
+            });
+
+            for await (const basicInfo of basicInfos) {
+                // All products of previous pages are yielded once a product of the next page comes
+                if (fetchedPage !== state.current.page) {
+                    state.current.page = fetchedPage;
+                    await save();
+                }
+
+                if (basicInfo.url === null) continue;
+
+                const key = getDedupKey(basicInfo.url);
+
+                if (state.urls.has(key)) continue;
+
+                state.urls.add(key);
+                yield { ...basicInfo, criteria };
+            }
+
+            state.done.push(criteria);
+            state.current = null;
+            await save();
+        }
+    } finally {
+        await save();
+    }
+}
+
+/**
+ * Get a timestamp of a date of a sitemap.
+ *
+ * @param {string|number|Date} date - W3C datetime (e.g. "2025-01-31" or "2025-01-31T12:00:00+03:00"), milliseconds or Date.
+ * @returns {number} NaN if the date is invalid.
+ * @private
+ */
+function toTime(date) {
+    return new Date(date).getTime();
+}
+
+/**
+ * Stream product page URLs of sitemaps, following sitemap indexes.
+ *
+ * Sitemaps are fetched via fetchPage, so gzipped ones (e.g. sitemap.xml.gz) are supported, and so are rate limits, the cache and robots.txt.
+ * Each URL is yielded once, even if several sitemaps list it.
+ *
+ * @example
+ * const scraper = new ProductScraper({
+ *     baseUrl: 'https://example.com',
+ *     sitemapOptions: { productUrlPattern: '/products/\\d+$' }
+ * });
+ *
+ * for await (const { url, lastmod } of scraper.streamProductUrlsFromSitemaps({ modifiedSince: '2025-01-01' })) {
+ *     console.log(url, lastmod); // https://example.com/products/0123 2025-01-31
+ * }
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.urls] - URLs of sitemaps or sitemap indexes. By default, this.sitemapOptions.urls,
+ * or /sitemap.xml of this.config.baseUrl if they are not present.
+ * @param {string|number|Date} [options.modifiedSince] - if present, URLs modified before this date are skipped.
+ * URLs without lastmod are never skipped.
+ * @param {string} [this.sitemapOptions.productUrlPattern] - if present, URLs that do not match this regular expression are skipped.
+ * @yields {{url: string, lastmod: string|null}} URL of each product page and the date of its last modification (as in a sitemap).
+ * @returns {AsyncGenerator}
+ * @throws {Error} if there are no sitemap URLs, or a fetched file is neither a sitemap nor a sitemap index.
+ * @throws {HttpError} if a server responds with a non-2xx status code.
+ */
+async function* streamProductUrlsFromSitemaps(options = {}) {
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.urls', 'array', options.urls, true);
+
+    if (options.urls && !options.urls.every(is.string)) {
+        throw is.invalidTypeError('options.urls', 'array of strings', options.urls);
+    }
+
+    const modifiedSince = options.modifiedSince == undefined ? null : toTime(options.modifiedSince);
+
+    if (Number.isNaN(modifiedSince)) {
+        throw new Error(`options.modifiedSince is not a valid date: ${options.modifiedSince}`);
+    }
+
+    const { urls, productUrlPattern } = this.sitemapOptions;
+    const queue = [...(options.urls || urls)];
+
+    if (queue.length === 0 && this.config.baseUrl) {
+        queue.push(new URL('/sitemap.xml', this.config.baseUrl).href);
+    }
+
+    if (queue.length === 0) {
+        throw new Error('options.urls, config.sitemapOptions.urls or config.baseUrl is required to read sitemaps');
+    }
+
+    const pattern = productUrlPattern ? new RegExp(productUrlPattern) : null;
+    const visitedSitemaps = new Set();
+    const yielded = new Set();
+
+    while (queue.length) {
+        const sitemapUrl = queue.shift();
+
+        // Sitemap indexes may refer to each other
+        if (visitedSitemaps.has(sitemapUrl)) continue;
+        visitedSitemaps.add(sitemapUrl);
+
+        const page = await this.fetchPage(sitemapUrl);
+        let sitemap;
+
+        try {
+            sitemap = parseSitemap(page.html);
+        } catch (e) {
+            throw new Error(`${sitemapUrl} is neither a sitemap nor a sitemap index`, { cause: e });
+        }
+
+        for (const entry of sitemap.entries) {
+            let url;
+
+            try {
+                url = new URL(entry.url, page.url).href;
+            } catch (e) {
+                continue; // A website's invalid URL is not a reason to fail
+            }
+
+            if (sitemap.isIndex) {
+                queue.push(url);
+                continue;
+            }
+
+            if (yielded.has(url) || (pattern && !pattern.test(url))) continue;
+
+            // A date that cannot be compared is treated as missing
+            const time = entry.lastmod ? toTime(entry.lastmod) : NaN;
+            if (modifiedSince !== null && time < modifiedSince) continue;
+
+            yielded.add(url);
+            yield { url, lastmod: entry.lastmod };
+        }
+    }
+}
+
+/**
+ * Fetch product page URLs of sitemaps, following sitemap indexes.
+ *
+ * @param {Object} [options] - see streamProductUrlsFromSitemaps.
+ * @param {Array<string>} [options.urls]
+ * @param {string|number|Date} [options.modifiedSince]
+ * @returns {Promise<Array<{url: string, lastmod: string|null}>>}
+ */
+async function fetchProductUrlsFromSitemaps(options = {}) {
+    const entries = [];
+
+    for await (const entry of this.streamProductUrlsFromSitemaps(options)) {
+        entries.push(entry);
+    }
+
+    return entries;
+}
+
+module.exports = function (ProductScraper) {
+    Object.assign(ProductScraper.prototype, {
+        crawlCatalog,
+        streamProductUrlsFromSitemaps,
+        fetchProductUrlsFromSitemaps
+    });
+};
\ No newline at end of file
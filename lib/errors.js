@@ -0,0 +1,135 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+/**
+ * Error thrown when a website's server responds with a non-2xx status code.
+ */
+class HttpError extends Error {
+    /**
+     * @param {string} url - requested URL.
+     * @param {number} status - status code of the response.
+     * @param {string} [statusText]
+     * @param {Headers} [headers] - headers of the response.
+     */
+    constructor(url, status, statusText = '', headers = undefined) {
+        super(`${url} responded with status ${status}${statusText ? ' ' + statusText : ''}`);
+        this.name = 'HttpError';
+        this.url = url;
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Error thrown when a request fails before a website's server responds (e.g. a connection or DNS failure).
+ */
+class NetworkError extends Error {
+    /**
+     * @param {string} url - requested URL.
+     * @param {Error} cause - error of fetch.
+     */
+    constructor(url, cause) {
+        super(`${url} is not a valid URL or is currently unavailable`, { cause });
+        this.name = 'NetworkError';
+        this.url = url;
+    }
+}
+
+/**
+ * Error thrown when a URL is disallowed by robots.txt of a website.
+ */
+class RobotsDisallowedError extends Error {
+    /**
+     * @param {string} url - disallowed URL.
+     * @param {string} userAgent - user agent whose rules disallow the URL.
+     */
+    constructor(url, userAgent) {
+        super(`${url} is disallowed by robots.txt for user agent ${userAgent}`);
+        this.name = 'RobotsDisallowedError';
+        this.url = url;
+        this.userAgent = userAgent;
+    }
+}
+
+/**
+ * Error thrown when a URL to fetch was not recorded as a fixture in the replay mode.
+ */
+class FixtureMissingError extends Error {
+    /**
+     * @param {string} url - URL that was not recorded.
+     * @param {string} dir - fixture directory.
+     */
+    constructor(url, dir) {
+        super(`${url} was not recorded in fixtures of ${dir}`);
+        this.name = 'FixtureMissingError';
+        this.url = url;
+        this.dir = dir;
+    }
+}
+
+/**
+ * Error thrown when a selector does not match any element.
+ */
+class EmptySelectionError extends Error {
+    /**
+     * @param {string} selector
+     */
+    constructor(selector) {
+        super(`Selector ${selector} do not match any element`);
+        this.name = 'EmptySelectionError';
+        this.selector = selector;
+    }
+}
+
+/**
+ * Error thrown when none of the sources of a product page provide a field.
+ *
+ * It is an EmptySelectionError, so a missing field is handled the same way whether or not the field has a selector.
+ */
+class MissingFieldError extends EmptySelectionError {
+    /**
+     * @param {string} field
+     * @param {Array<string>} sources - sources that were tried.
+     * @param {string} [selector] - selector of the field, if present.
+     */
+    constructor(field, sources, selector = '') {
+        super(selector);
+        this.message = `None of the sources ${sources.join(', ')} provide ${field}`;
+        this.name = 'MissingFieldError';
+        this.field = field;
+        this.sources = sources;
+    }
+}
+
+/**
+ * Error thrown in the strict mode when some fields of a product cannot be extracted.
+ */
+class IncompleteProductError extends Error {
+    /**
+     * @param {string} url - URL of a product page.
+     * @param {Object} product - record of the product where missing fields are null, including its diagnostics.
+     */
+    constructor(url, product) {
+        const missing = Object.keys(product.diagnostics).filter(field => !product.diagnostics[field].ok);
+
+        super(`Failed to extract ${missing.join(', ')} of ${url}`);
+        this.name = 'IncompleteProductError';
+        this.url = url;
+        this.product = product;
+    }
+}
+
+module.exports = {
+    EmptySelectionError,
+    MissingFieldError,
+    IncompleteProductError,
+    HttpError,
+    NetworkError,
+    RobotsDisallowedError,
+    FixtureMissingError
+};
\ No newline at end of file
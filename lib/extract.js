@@ -5,6 +5,17 @@
 
 'use strict';
 
+const _ = require('lodash');
+const { availabilities, normalizeAvailability } = require('./availability.js');
+const { mapCards } = require('./cards.js');
+const { EmptySelectionError, MissingFieldError } = require('./errors.js');
+const { getImageUrl, pickFromSrcset } = require('./images.js');
+const { extractJsonLd, extractJsonLdProduct, extractJsonLdBreadcrumbs } = require('./json-ld.js');
+const { extractMicrodataProduct } = require('./microdata.js');
+const { extractOpenGraph, extractOpenGraphProduct } = require('./open-graph.js');
+const { parsePrice, parseNumber } = require('./price.js');
+const { extractFromSources } = require('./sources.js');
+const { extractSpecs, normalizeSpecKey } = require('./specs.js');
 const { convertToAbsolute } = require('./url.js');
 const is = require('./is.js');
 
@@ -76,6 +87,61 @@ function extractUrls($, selector, attrName, baseUrl) {
     return baseUrl ? convertToAbsolute(urls, baseUrl) : urls;
 }
 
+/**
+ * Extract image URLs of selected elements.
+ * 
+ * @example
+ * const html = `
+ * <img class="image" src="data:image/gif;base64,R0lGOD" data-src="/lazy.jpg" />
+ * <img class="image" srcset="/small.jpg 480w, /large.jpg 1080w" src="/small.jpg" />
+ * <div class="image" style="background-image: url('/background.jpg')"></div>`;
+ * const $ = require('cheerio').load(html);
+ * 
+ * const urls = ProductScraper.extractImageUrls($, '.image', 'https://example.com', ['data-src', 'srcset', 'src', 'background-image']);
+ * // urls = ['https://example.com/lazy.jpg', 'https://example.com/large.jpg', 'https://example.com/background.jpg']
+ * 
+ * @static
+ * @param {CheerioAPI} $
+ * @param {string} selector
+ * @param {string} [baseUrl] - if present, all relative URLs will be converted to absolute ones.
+ * If this parameter is not a base URL, it will be converted to such.
+ * @param {Array<string>} [sources=['src']] - attributes and special sources ("picture" and "background-image") to read a URL from,
+ * in order of priority. Inline data: URLs are skipped as placeholders, and the highest-resolution candidate of a srcset is chosen.
+ * @returns {Array<string>}
+ * @throws {Error} if selection is empty or a selected element does not have an image URL.
+ */
+function extractImageUrls($, selector, baseUrl, sources = ['src']) {
+    is.invalidType('selector', 'string', selector);
+    is.invalidType('sources', 'array', sources);
+
+    const els = $(selector);
+
+    is.emptySelection(els, selector);
+
+    const urls = els.toArray().map(el => {
+        const url = getImageUrl($, el, sources);
+
+        if (url === undefined) {
+            throw new Error(`Element selected by ${selector} does not have an image URL in any of ${sources.join(', ')}`);
+        }
+
+        return url;
+    });
+
+    return baseUrl ? convertToAbsolute(urls, baseUrl) : urls;
+}
+
+/**
+ * Functions that extract a product from metadata of a page, by source name.
+ * 
+ * @private
+ */
+const metadataExtractors = {
+    jsonLd: extractJsonLdProduct,
+    microdata: extractMicrodataProduct,
+    openGraph: extractOpenGraphProduct
+};
+
 /**
  * Product ID formats and corresponding regular expressions.
  * 
@@ -109,6 +175,9 @@ const idFormats = {
  * $ = cheerio.load(html);
  * id = scraper.extractProductId($); // id = 'AAAA0000'
  * 
+ * If the selector does not match any element, the ID is taken from sku, productID or mpn of the next source
+ * of this.productPageOptions.sources.id (JSON-LD, microdata or OpenGraph).
+ * 
  * @param {CheerioAPI} $
  * @param {string} this.productPageSelectors.id
  * @param {string} [this.productPageOptions.idFormat]
@@ -116,29 +185,34 @@ const idFormats = {
  * @returns {string}
  */
 function extractProductId($) {
-    const text = extractTextContents($, this.productPageSelectors.id)[0];
-    const regex = idFormats[this.productPageOptions.idFormat];
+    return extractFromSources.call(this, $, 'id', () => {
+        const text = extractTextContents($, this.productPageSelectors.id)[0];
+        const regex = idFormats[this.productPageOptions.idFormat];
 
-    if (!regex) return text;
+        if (!regex) return text;
 
-    const matches = text.match(regex);
+        const matches = text.match(regex);
 
-    if (!matches) {
-        throw new Error(`No matches against ${this.productPageOptions.idFormat} pattern were found in the string ${text}`);
-    }
+        if (!matches) {
+            throw new Error(`No matches against ${this.productPageOptions.idFormat} pattern were found in the string ${text}`);
+        }
 
-    return matches[this.productPageOptions.idMatchIndex];
+        return matches[this.productPageOptions.idMatchIndex];
+    });
 }
 
 /**
  * Extract a product name from a product page.
  * 
+ * If the selector does not match any element, the name is taken from the next source of this.productPageOptions.sources.name.
+ * 
  * @param {CheerioAPI} $
  * @param {string} this.productPageSelectors.name
  * @returns {string}
  */
 function extractProductName($) {
-    return extractTextContents($, this.productPageSelectors.name)[0];
+    return extractFromSources.call(this, $, 'name',
+        () => extractTextContents($, this.productPageSelectors.name)[0]);
 }
 
 /**
@@ -161,37 +235,238 @@ function extractProductName($) {
  * $ = cheerio.load(html);
  * description = scraper.extractProductDescription($); // description = 'This is a description of the product.'
  * 
+ * If the selector does not match any element, the description is taken from the next source of this.productPageOptions.sources.description.
+ * 
  * @param {CheerioAPI} $
  * @param {string} this.productPageSelectors.description
  * @param {boolean} [this.productPageOptions.hasDescriptionLabel]
  * @returns {string}
  */
 function extractProductDescription($) {
-    const description = extractTextContents($, this.productPageSelectors.description).join('\n');
-    return this.productPageOptions.hasDescriptionLabel ? description.replace(/\S+\s+/, '') : description;
+    return extractFromSources.call(this, $, 'description', () => {
+        const description = extractTextContents($, this.productPageSelectors.description).join('\n');
+        return this.productPageOptions.hasDescriptionLabel ? description.replace(/\S+\s+/, '') : description;
+    });
 }
 
 /**
  * Extract images URLs from a product page.
  * 
+ * URLs are read from this.imageOptions.sources of each selected element, so lazy-loaded and responsive images are supported.
+ * If the selector does not match any element, the URLs are taken from the next source of this.productPageOptions.sources.images.
+ * 
  * @param {CheerioAPI} $
  * @param {string} this.productPageSelectors.images
+ * @param {Array<string>} this.imageOptions.sources
  * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
  * @returns {Array<string>}
  */
 function extractProductImageUrls($) {
-    return extractUrls($, this.productPageSelectors.images, 'src', this.config.baseUrl);
+    return extractFromSources.call(this, $, 'images',
+        () => extractImageUrls($, this.productPageSelectors.images, this.config.baseUrl, this.imageOptions.sources),
+        product => product.imageUrls);
+}
+
+/**
+ * Get a price of the first offer that has one.
+ * 
+ * @param {Array<Object>} offers - offers of a product extracted by extractProductMetadata.
+ * @param {string} [currency] - currency used when an offer does not have one.
+ * @returns {{amount: number, currency: string|null, maxAmount?: number}|undefined}
+ * @private
+ */
+function getOffersPrice(offers, currency) {
+    const offer = offers.find(offer => offer.price || offer.lowPrice);
+
+    if (!offer) return undefined;
+
+    const price = parsePrice(offer.price || offer.lowPrice, { currency: offer.currency || currency });
+
+    if (offer.highPrice) price.maxAmount = parsePrice(offer.highPrice).amount;
+
+    return price;
+}
+
+/**
+ * Extract a product price from a product page.
+ * 
+ * @example
+ * const cheerio = require('cheerio');
+ * const scraper = new ProductScraper();
+ * scraper.productPageSelectors.price = '.price';
+ * 
+ * let html, $, price;
+ * 
+ * html = '<div class="price">1 299,00 ₽</div>';
+ * $ = cheerio.load(html);
+ * price = scraper.extractProductPrice($); // price = { amount: 1299, currency: 'RUB' }
+ * 
+ * html = '<div class="price"><s>$1,299.99</s> $999.99</div>';
+ * $ = cheerio.load(html);
+ * price = scraper.extractProductPrice($); // price = { amount: 999.99, oldAmount: 1299.99, currency: 'USD' }
+ * 
+ * If the selector does not match any element, the price is taken from offers of the next source of this.productPageOptions.sources.price.
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} this.productPageSelectors.price - texts of all selected elements are parsed as one price.
+ * @param {string} [this.productPageSelectors.oldPrice] - if present and matches an element, oldAmount is taken from it.
+ * @param {string} [this.priceOptions.locale]
+ * @param {string} [this.priceOptions.currency]
+ * @returns {{amount: number, currency: string|null, oldAmount?: number, maxAmount?: number}}
+ */
+function extractProductPrice($) {
+    const price = extractFromSources.call(this, $, 'price',
+        () => parsePrice(extractTextContents($, this.productPageSelectors.price).join(' '), this.priceOptions),
+        product => getOffersPrice(product.offers, this.priceOptions.currency));
+
+    if (this.productPageSelectors.oldPrice && $(this.productPageSelectors.oldPrice).length) {
+        const oldText = extractTextContents($, this.productPageSelectors.oldPrice)[0];
+        price.oldAmount = parsePrice(oldText, this.priceOptions).amount;
+    }
+
+    return price;
+}
+
+/**
+ * Extract a product from metadata of a product page.
+ * 
+ * It does not require any selectors, so it can be used when a website does not have a selector configuration.
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} [source='jsonLd'] - "jsonLd", "microdata" (including RDFa) or "openGraph".
+ * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
+ * @returns {{id?: string, name?: string, description?: string, brand?: string, imageUrls: Array<string>, offers: Array<Object>}|null}
+ * null if the page does not have a product in this source.
+ */
+function extractProductMetadata($, source = 'jsonLd') {
+    const extract = metadataExtractors[source];
+
+    if (!extract) {
+        throw new Error(`Unknown metadata source ${source}`);
+    }
+
+    const product = extract($);
+
+    if (product && this.config.baseUrl) {
+        product.imageUrls = convertToAbsolute(product.imageUrls, this.config.baseUrl);
+    }
+
+    return product;
+}
+
+/**
+ * Extract a schema.org Product from JSON-LD of a product page.
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
+ * @returns {{id?: string, name?: string, description?: string, brand?: string, imageUrls: Array<string>, offers: Array<Object>, node: Object}|null}
+ * null if the page does not have a JSON-LD Product.
+ */
+function extractProductJsonLd($) {
+    return this.extractProductMetadata($, 'jsonLd');
+}
+
+/**
+ * Extract specifications of a product (e.g. "Weight: 1.2 kg") from a product page.
+ * 
+ * Specifications are read from tables, definition lists and "label: value" rows selected by this.productPageSelectors.specs.
+ * 
+ * @example
+ * const cheerio = require('cheerio');
+ * const scraper = new ProductScraper();
+ * scraper.productPageSelectors.specs = '.specs';
+ * scraper.specsOptions.normalizeKeys = true;
+ * 
+ * const $ = cheerio.load('<dl class="specs"><dt>Weight</dt><dd>1.2 kg</dd><dt>Colour</dt><dd>black</dd></dl>');
+ * const specs = scraper.extractProductSpecs($); // specs = { weight: '1.2 kg', colour: 'black' }
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} this.productPageSelectors.specs
+ * @param {boolean} [this.specsOptions.normalizeKeys]
+ * @param {string} [this.specsOptions.separator]
+ * @returns {Object<string, string>} values by keys in the order of a page.
+ */
+function extractProductSpecs($) {
+    return extractSpecs($, this.productPageSelectors.specs, this.specsOptions);
+}
+
+/**
+ * Extract breadcrumbs of a product page, i.e. a path of the product in the category tree of a website.
+ * 
+ * Breadcrumbs are read from elements selected by this.productPageSelectors.breadcrumbs. Each selected element is
+ * a breadcrumb: its text is a name, and its href (or href of a link inside it) is a URL.
+ * If the selector is not present or does not match any element, breadcrumbs are read from a JSON-LD BreadcrumbList.
+ * 
+ * @example
+ * const cheerio = require('cheerio');
+ * const scraper = new ProductScraper({ baseUrl: 'https://example.com' });
+ * scraper.productPageSelectors.breadcrumbs = '.breadcrumbs li';
+ * 
+ * const $ = cheerio.load('<ul class="breadcrumbs"><li><a href="/catalog">Electronics</a></li><li>Phones</li></ul>');
+ * const breadcrumbs = scraper.extractProductBreadcrumbs($);
+ * // breadcrumbs = [{ name: 'Electronics', url: 'https://example.com/catalog' }, { name: 'Phones', url: null }]
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} [this.productPageSelectors.breadcrumbs]
+ * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
+ * @returns {Array<{name: string, url: string|null}>} breadcrumbs from the root category. url is null if a breadcrumb is not a link.
+ * @throws {EmptySelectionError} if the selector does not match any element and the page does not have a JSON-LD BreadcrumbList.
+ * @throws {Error} if the selector is not present and the page does not have a JSON-LD BreadcrumbList.
+ */
+function extractProductBreadcrumbs($) {
+    const selector = this.productPageSelectors.breadcrumbs;
+    const els = selector ? $(selector) : [];
+    let breadcrumbs;
+
+    if (els.length) {
+        breadcrumbs = els.toArray()
+            .map(el => {
+                const $el = $(el);
+                const href = $el.is('a') ? $el.attr('href') : $el.find('a[href]').first().attr('href');
+                return { name: $el.text().replace(/\s+/g, ' ').trim(), url: href || null };
+            })
+            .filter(breadcrumb => breadcrumb.name);
+    } else {
+        breadcrumbs = extractJsonLdBreadcrumbs($);
+    }
+
+    if (!breadcrumbs) {
+        if (selector) is.emptySelection(els, selector);
+        throw new Error('The page does not have breadcrumbs selected by productPageSelectors.breadcrumbs or a JSON-LD BreadcrumbList');
+    }
+
+    if (this.config.baseUrl) {
+        return breadcrumbs.map(({ name, url }) => ({ name, url: url && convertToAbsolute([url], this.config.baseUrl)[0] }));
+    }
+
+    return breadcrumbs;
+}
+
+/**
+ * Convert a URL of a product card to an absolute one.
+ * 
+ * @param {string|null} url
+ * @param {string} [this.config.baseUrl] - if not present, the URL is not converted.
+ * @returns {string|null}
+ * @private
+ */
+function toAbsoluteUrl(url) {
+    return url && this.config.baseUrl ? convertToAbsolute([url], this.config.baseUrl)[0] : url;
 }
 
 /**
  * Extract name of each product from a list.
  * 
+ * If this.productListSelectors.card is present, the selectors of all list extractors are resolved relative to each product card,
+ * and a value of a card without a selected element is null.
+ * 
  * @param {CheerioAPI} $
  * @param {string} this.productListSelectors.names
- * @returns {Array<string>}
+ * @param {string} [this.productListSelectors.card]
+ * @returns {Array<string|null>}
  */
 function extractProductNamesFromList($) {
-    return extractTextContents($, this.productListSelectors.names);
+    return mapCards.call(this, $, this.productListSelectors.names, $el => $el.text().trim(), 'a name');
 }
 
 /**
@@ -199,23 +474,31 @@ function extractProductNamesFromList($) {
  * 
  * @param {CheerioAPI} $
  * @param {string} this.productListSelectors.links
+ * @param {string} [this.productListSelectors.card]
  * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
- * @returns {Array<string>}
+ * @returns {Array<string|null>}
  */
 function extractProductPageUrlsFromList($) {
-    return extractUrls($, this.productListSelectors.links, 'href', this.config.baseUrl);
+    return mapCards.call(this, $, this.productListSelectors.links, $el => $el.attr('href'), 'an attribute href')
+        .map(url => toAbsoluteUrl.call(this, url));
 }
 
 /**
 * Extract main image URL of each product from a list.
 * 
+* URLs are read from this.imageOptions.sources of each selected element, so lazy-loaded and responsive images are supported.
+* 
 * @param {CheerioAPI} $
 * @param {string} this.productListSelectors.images
+* @param {string} [this.productListSelectors.card]
+* @param {Array<string>} this.imageOptions.sources
 * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
-* @returns {Array<string>}
+* @returns {Array<string|null>}
 */
 function extractProductImageUrlsFromList($) {
-   return extractUrls($, this.productListSelectors.images, 'src', this.config.baseUrl);
+   return mapCards.call(this, $, this.productListSelectors.images,
+       $el => getImageUrl($, $el[0], this.imageOptions.sources), 'an image URL')
+       .map(url => toAbsoluteUrl.call(this, url));
 }
 
 /**
@@ -223,10 +506,92 @@ function extractProductImageUrlsFromList($) {
  * 
  * @param {CheerioAPI} $
  * @param {string} this.productListSelectors.descriptions
- * @returns {Array<string>}
+ * @param {string} [this.productListSelectors.card]
+ * @returns {Array<string|null>}
  */
 function extractProductDescriptionsFromList($) {
-    return extractTextContents($, this.productListSelectors.descriptions);
+    return mapCards.call(this, $, this.productListSelectors.descriptions, $el => $el.text().trim(), 'a description');
+}
+
+/**
+ * Read values describing availability of selected elements.
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} selector
+ * @param {string} [this.availabilityOptions.attribute] - if present, values are read from this attribute instead of text contents.
+ * @returns {Array<string>}
+ * @private
+ */
+function readAvailabilityValues($, selector) {
+    const attribute = this.availabilityOptions.attribute;
+    return attribute ? extractAttrValues($, selector, attribute) : extractTextContents($, selector);
+}
+
+/**
+ * Extract a product availability from a product page.
+ * 
+ * @example
+ * const cheerio = require('cheerio');
+ * const scraper = new ProductScraper();
+ * scraper.productPageSelectors.availability = '.stock';
+ * scraper.availabilityOptions.matchers = { preorder: ['ships in'] };
+ * 
+ * const $ = cheerio.load('<span class="stock">Ships in 2 weeks</span>');
+ * const availability = scraper.extractProductAvailability($); // availability = 'preorder'
+ * 
+ * If the selector does not match any element, the availability is taken from offers of the next source
+ * of this.productPageOptions.sources.availability.
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} this.productPageSelectors.availability
+ * @param {string} [this.availabilityOptions.attribute]
+ * @param {Object<string, Array<string>>} [this.availabilityOptions.matchers]
+ * @returns {string} one of ProductScraper.availabilities.
+ */
+function extractProductAvailability($) {
+    const matchers = this.availabilityOptions.matchers;
+
+    return extractFromSources.call(this, $, 'availability',
+        () => normalizeAvailability(readAvailabilityValues.call(this, $, this.productPageSelectors.availability)[0], matchers),
+        product => {
+            const offer = product.offers.find(offer => offer.availability);
+            return offer ? normalizeAvailability(offer.availability, matchers) : undefined;
+        });
+}
+
+/**
+ * Extract availability of each product from a list.
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} this.productListSelectors.availabilities
+ * @param {string} [this.productListSelectors.card] - if present, availability of a card without a selected element is "unknown".
+ * @param {string} [this.availabilityOptions.attribute]
+ * @param {Object<string, Array<string>>} [this.availabilityOptions.matchers]
+ * @returns {Array<string>} values of ProductScraper.availabilities.
+ */
+function extractProductAvailabilitiesFromList($) {
+    const attribute = this.availabilityOptions.attribute;
+    const values = mapCards.call(this, $, this.productListSelectors.availabilities,
+        $el => attribute ? $el.attr(attribute) : $el.text().trim(), `an attribute ${attribute}`);
+
+    return values.map(value => value === null ? 'unknown' : normalizeAvailability(value, this.availabilityOptions.matchers));
+}
+
+/**
+ * Extract a price of each product from a list.
+ * 
+ * If a selected element contains both an old price and a sale price, oldAmount is included.
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} this.productListSelectors.prices
+ * @param {string} [this.productListSelectors.card]
+ * @param {string} [this.priceOptions.locale]
+ * @param {string} [this.priceOptions.currency]
+ * @returns {Array<{amount: number, currency: string|null, oldAmount?: number, maxAmount?: number}|null>}
+ */
+function extractProductPricesFromList($) {
+    return mapCards.call(this, $, this.productListSelectors.prices, $el => $el.text().trim(), 'a price')
+        .map(text => text === null ? null : parsePrice(text, this.priceOptions));
 }
 
 /**
@@ -262,13 +627,19 @@ function recognizeBrand(productName) {
  * @param {CheerioAPI} $
  * @param {string} this.productPageSelectors.name
  * @param {Array<string>} [this.config.brands] - if not present, brand will not be included.
- * @returns {{name: string, brand?: string}}
+ * @param {Object<string, Object>} [this.productPageFields] - if present, custom fields will be included.
+ * @param {string} [this.productPageSelectors.specs] - if present, specifications will be included.
+ * @param {string} [this.productPageSelectors.breadcrumbs] - if present, breadcrumbs will be included.
+ * @returns {{name: string, brand?: string, specs?: Object<string, string>, breadcrumbs?: Array<{name: string, url: string|null}>}}
  */
 function extractProductBasicInfo($) {
     const name = this.extractProductName($);
     return {
+        ...this.extractCustomFields($),
         name,
-        brand: this.recognizeBrand(name)
+        brand: this.recognizeBrand(name),
+        ...(this.productPageSelectors.specs && { specs: this.extractProductSpecs($) }),
+        ...(this.productPageSelectors.breadcrumbs && { breadcrumbs: this.extractProductBreadcrumbs($) })
     }
 }
 
@@ -280,20 +651,31 @@ function extractProductBasicInfo($) {
  * @param {CheerioAPI} $
  * @param {string} this.productListSelectors.names
  * @param {string} this.productListSelectors.links
+ * @param {string} [this.productListSelectors.card] - if present, a name or a URL of a card without a selected element is null
+ * (so is a brand of a card without a name).
  * @param {Array<string>} [this.config.brands] - if present, brand will be included. Otherwise, brand will be an empty string.
- * @returns {Array<{name: string, brand?: string, url: string}>}
+ * @param {Object<string, Object>} [this.productListFields] - if present, custom fields will be included.
+ * @returns {Array<{name: string|null, brand?: string|null, url: string|null}>}
  */
 function extractProductsBasicInfoFromList($) {
     const names = this.extractProductNamesFromList($);
     const urls = this.extractProductPageUrlsFromList($);
+    const customFields = this.extractCustomFieldsFromList($, names.length);
 
     if (names.length !== urls.length) {
         throw new Error('Invalid selection: links number and names number are not equal');
     }
+
+    for (const [field, values] of Object.entries(customFields)) {
+        if (values.length !== names.length) {
+            throw new Error(`Invalid selection: ${field} number and names number are not equal`);
+        }
+    }
     
     return names.map((name, i) => ({
+        ..._.mapValues(customFields, values => values[i]),
         name,
-        brand: this.recognizeBrand(name),
+        brand: name === null ? null : this.recognizeBrand(name),
         url: urls[i]
     }));
 }
@@ -304,10 +686,18 @@ module.exports = function (ProductScraper) {
         extractProductName,
         extractProductDescription,
         extractProductImageUrls,
+        extractProductPrice,
+        extractProductAvailability,
+        extractProductMetadata,
+        extractProductJsonLd,
+        extractProductSpecs,
+        extractProductBreadcrumbs,
         extractProductNamesFromList,
         extractProductPageUrlsFromList,
         extractProductImageUrlsFromList,
         extractProductDescriptionsFromList,
+        extractProductPricesFromList,
+        extractProductAvailabilitiesFromList,
         recognizeBrand,
         extractProductBasicInfo,
         extractProductsBasicInfoFromList
@@ -316,6 +706,23 @@ module.exports = function (ProductScraper) {
         idFormats: Object.keys(idFormats),
         extractTextContents,
         extractAttrValues,
-        extractUrls
+        extractUrls,
+        extractImageUrls,
+        pickFromSrcset,
+        extractSpecs,
+        normalizeSpecKey,
+        extractJsonLd,
+        extractJsonLdProduct,
+        extractJsonLdBreadcrumbs,
+        extractMicrodataProduct,
+        extractOpenGraph,
+        extractOpenGraphProduct,
+        productPageSources: ['selector', ...Object.keys(metadataExtractors)],
+        parsePrice,
+        parseNumber,
+        availabilities,
+        normalizeAvailability,
+        EmptySelectionError,
+        MissingFieldError
     });
 }
\ No newline at end of file
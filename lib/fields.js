@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { selectInCards } = require('./cards.js');
+const { transforms, applyTransforms } = require('./transforms.js');
+const is = require('./is.js');
+
+/**
+ * Read raw values of a custom field from selected elements.
+ *
+ * @param {CheerioAPI} $
+ * @param {Cheerio} els
+ * @param {{attribute?: string}} schema
+ * @returns {Array<string>}
+ * @private
+ */
+function readValues($, els, schema) {
+    return els.toArray()
+        .map(el => schema.attribute ? $(el).attr(schema.attribute) : $(el).text().trim())
+        .filter(value => value !== undefined);
+}
+
+/**
+ * Get a final value of a custom field from raw values.
+ *
+ * @param {Array<string>} values
+ * @param {Object} schema
+ * @param {{baseUrl: string, locale: string}} context
+ * @returns {any} schema.default (or null) if there are no values or transforms leave nothing.
+ * @private
+ */
+function resolveValue(values, schema, context) {
+    const fallback = schema.default === undefined ? null : schema.default;
+    const value = applyTransforms(schema.multiple ? values : values[0] ?? null, schema.transforms || [], context);
+    const isEmpty = value === null || value === undefined || value === '' || (is.array(value) && value.length === 0);
+
+    return isEmpty ? fallback : value;
+}
+
+/**
+ * @param {string} this.config.baseUrl
+ * @param {string} this.priceOptions.locale
+ * @returns {{baseUrl: string, locale: string}}
+ * @private
+ */
+function getContext() {
+    return {
+        baseUrl: this.config.baseUrl,
+        locale: this.priceOptions.locale
+    };
+}
+
+/**
+ * Extract a custom field declared in this.productPageFields from a product page.
+ *
+ * @param {CheerioAPI} $
+ * @param {string} field - name of the field.
+ * @param {Object<string, Object>} this.productPageFields
+ * @returns {any}
+ * @throws {Error} if the field is not declared, or its transforms fail.
+ */
+function extractCustomField($, field) {
+    is.invalidType('field', 'string', field);
+
+    const schema = this.productPageFields[field];
+
+    if (!schema) {
+        throw new Error(`Unknown custom field ${field}`);
+    }
+
+    return resolveValue(readValues($, $(schema.selector), schema), schema, getContext.call(this));
+}
+
+/**
+ * Extract custom fields declared in this.productPageFields from a product page.
+ *
+ * @example
+ * const scraper = new ProductScraper({
+ *     productPageFields: {
+ *         weight: { selector: '.specs .weight', transforms: [['regex', '([\\d.,]+)\\s*kg'], 'number'] },
+ *         tags: { selector: '.tags', transforms: [['split', ',']] },
+ *         manual: { selector: 'a.manual', attribute: 'href', transforms: ['absoluteUrl'], default: null }
+ *     }
+ * });
+ *
+ * const html = '<span class="weight">Weight: 1,2 kg</span><div class="tags">new, sale</div>';
+ * const $ = require('cheerio').load(html);
+ *
+ * const fields = scraper.extractCustomFields($); // fields = { weight: 1.2, tags: ['new', 'sale'], manual: null }
+ *
+ * @param {CheerioAPI} $
+ * @param {Object<string, Object>} this.productPageFields
+ * @returns {Object<string, any>}
+ */
+function extractCustomFields($) {
+    return _.mapValues(this.productPageFields, (schema, field) => this.extractCustomField($, field));
+}
+
+/**
+ * Extract custom fields declared in this.productListFields for each product of a list.
+ *
+ * If this.productListSelectors.card is present, a field selector is resolved relative to each product card,
+ * so a card without the field gets its default. Otherwise, each element selected by a field selector
+ * is a value of the field for the product card with the same index, and a field that matches nothing
+ * gets its default for each of count products.
+ *
+ * @param {CheerioAPI} $
+ * @param {number} [count=0] - number of products of the list.
+ * @param {Object<string, Object>} this.productListFields
+ * @param {string} [this.productListSelectors.card]
+ * @returns {Object<string, Array<any>>} values of each field by product card index.
+ */
+function extractCustomFieldsFromList($, count = 0) {
+    is.invalidType('count', 'number', count);
+
+    const context = getContext.call(this);
+
+    return _.mapValues(this.productListFields, schema => {
+        // Without cards, an empty selection means a field that none of products have rather than an error
+        if (!this.productListSelectors.card && $(schema.selector).length === 0) {
+            return Array.from({ length: count }, () => resolveValue([], schema, context));
+        }
+
+        return selectInCards.call(this, $, schema.selector)
+            .map($els => resolveValue(readValues($, $els, schema), schema, context));
+    });
+}
+
+module.exports = function (ProductScraper) {
+    Object.assign(ProductScraper.prototype, {
+        extractCustomField,
+        extractCustomFields,
+        extractCustomFieldsFromList
+    });
+    Object.assign(ProductScraper, {
+        fieldTransforms: Object.keys(transforms)
+    });
+};
\ No newline at end of file
@@ -5,6 +5,7 @@
 
 'use strict';
 
+const { getPagination } = require('./pagination.js');
 const is = require('./is.js');
 
 /**
@@ -50,13 +51,17 @@ const is = require('./is.js');
  * filterFunction = (x, y) => !x || !y; // product cards without a main image or a description
  * filteredUrls = scraper.filterProductCardsFromPage($, scraper.extractProductPageUrlsFromList, filterFunction); // ["second-url", "third-url", "fourth-url"];
  * 
+ * scraper.productListSelectors.availabilities = '.product-card .stock';
+ * filterFunction = (x, y, availability) => availability === 'in_stock'; // product cards of products in stock
+ * 
  * @param {CheerioAPI} $
  * @param {Function<CheeioAPI>: Array} callback - function that returns an array of product cards data from page.
- * @param {Function<imgExist: boolean, desExist: boolean>: boolean} filterFunction
+ * @param {Function<imgExist: boolean, desExist: boolean, availability: string>: boolean} filterFunction
  * @param {string} [this.productListSelectors.images] - if not present, then imageExist parameter in filterFunction is false for all products.
  * @param {string} [this.productListSelectors.descriptions] - if not present, then descriptionExist parameter in filterFunction is false for all products.
  * @param {string} [this.placeholders.image] - if not present, then imageExist parameter in filterFunction is false for all products.
  * @param {string} [this.placeholders.description] - if not present, then descriptionExist parameter in filterFunction is false for all products.
+ * @param {string} [this.productListSelectors.availabilities] - if not present, then availability parameter in filterFunction is "unknown" for all products.
  * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
  * @param {Object} [thisArg=this] - "this" arg to use in callback.
  * @returns {Array<string>} data of product cards satisfying filterFunction.
@@ -70,6 +75,7 @@ function filterProductCardsFromPage($, callback, filterFunction, thisArg = this)
 
     const imgExist = Array(data.length).fill(false);
     const desExist = Array(data.length).fill(false);
+    const availabilities = Array(data.length).fill('unknown');
 
     if (this.productListSelectors.images && this.placeholders.image) {
         const imgUrls = this.extractProductImageUrlsFromList($);
@@ -79,7 +85,7 @@ function filterProductCardsFromPage($, callback, filterFunction, thisArg = this)
         }
 
         for (let i = 0; i < imgUrls.length; i++) {
-            imgExist[i] = imgUrls[i] !== this.placeholders.image;
+            imgExist[i] = imgUrls[i] !== null && imgUrls[i] !== this.placeholders.image;
         }
     }
 
@@ -91,31 +97,60 @@ function filterProductCardsFromPage($, callback, filterFunction, thisArg = this)
         }
 
         for (let i = 0; i < descriptions.length; i++) {
-            desExist[i] = descriptions[i] !== this.placeholders.description;
+            desExist[i] = descriptions[i] !== null && descriptions[i] !== this.placeholders.description;
+        }
+    }
+
+    if (this.productListSelectors.availabilities) {
+        const extractedAvailabilities = this.extractProductAvailabilitiesFromList($);
+
+        if (extractedAvailabilities.length !== data.length) {
+            throw new Error('Invalid selection: availabilities number and product cards number are not equal');
         }
+
+        availabilities.splice(0, data.length, ...extractedAvailabilities);
     }
 
-    return data.filter((_, i) => filterFunction(imgExist[i], desExist[i]));
+    return data.filter((_, i) => filterFunction(imgExist[i], desExist[i], availabilities[i]));
+}
+
+/**
+ * Identify pages of a pagination by all their product cards rather than the filtered ones,
+ * so a page whose product cards are all filtered out is not taken for any other such page.
+ * 
+ * @param {Object} pagination
+ * @param {Function<CheeioAPI>: Array} callback - function that returns an array of product cards data from page.
+ * @returns {Object} pagination options with pageItems (unless they are present).
+ * @private
+ */
+function withPageItems(pagination, callback) {
+    is.invalidType('pagination', 'object', pagination);
+    return { pageItems: $ => callback.call(this, $), ...pagination };
 }
 
 /**
  * Filter all product cards from a pagination that satisfy filterFunction.
  * 
- * @param {Object} pagination - pagination options.
- * @param {string} pagination.url - part of the pagination URL before a page number (so URL of the N-th page will be: pagination.url + N).
+ * @param {Object} pagination - pagination options (see paginate).
+ * @param {string} pagination.url - part of the pagination URL before a page number (so URL of the N-th page will be: pagination.url + N),
+ * or a URL template with {page} and {offset} placeholders.
  * @param {number} [pagination.first=1] - first page number to start from.
  * @param {number} [pagination.last] - last page number to stop.
+ * @param {number} [pagination.pageSize] - number of products per page.
+ * @param {string} [pagination.nextSelector] - selector for a link to the next page.
+ * @param {string} [pagination.totalSelector] - selector for an element containing a total number of products.
  * @param {Function<CheeioAPI>: Array} callback - function that returns an array of product cards data from page.
- * @param {Function<imgExist: boolean, desExist: boolean>: boolean} filterFunction
+ * @param {Function<imgExist: boolean, desExist: boolean, availability: string>: boolean} filterFunction
  * @param {string} [this.productListSelectors.images] - if not present, then imageExist parameter in filterFunction is false for all products.
  * @param {string} [this.productListSelectors.descriptions] - if not present, then descriptionExist parameter in filterFunction is false for all products.
  * @param {string} [this.placeholders.image] - if not present, then imageExist parameter in filterFunction is false for all products.
  * @param {string} [this.placeholders.description] - if not present, then descriptionExist parameter in filterFunction is false for all products.
+ * @param {string} [this.productListSelectors.availabilities] - if not present, then availability parameter in filterFunction is "unknown" for all products.
  * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
  * @returns {Promise<Array<string>>} data of product cards satisfying filterFunction.
  */
 async function filterProductCardsFromPagination(pagination, callback, filterFunction) {
-    return await this.iterateOverPagination(pagination,
+    return await this.iterateOverPagination(withPageItems.call(this, pagination, callback),
         $ => this.filterProductCardsFromPage($, callback, filterFunction));
 }
 
@@ -125,19 +160,20 @@ async function filterProductCardsFromPagination(pagination, callback, filterFunc
  * @param {string} criteria - catalog pagination criteria (usually a product brand).
  * @param {Function<CheeioAPI>: Array} callback - function that returns an array of product cards data from page.
  * @param {filterProductCardFunction} filterFunction
- * @param {Array<string>} this.paginations.catalog
+ * @param {Array<string>|Object} this.paginations.catalog
  * @param {string} [this.productListSelectors.images] - if not present, then imageExist parameter in filterFunction is false for all products.
  * @param {string} [this.productListSelectors.descriptions] - if not present, then descriptionExist parameter in filterFunction is false for all products.
  * @param {string} [this.placeholders.image] - if not present, then imageExist parameter in filterFunction is false for all products.
  * @param {string} [this.placeholders.description] - if not present, then descriptionExist parameter in filterFunction is false for all products.
+ * @param {string} [this.productListSelectors.availabilities] - if not present, then availability parameter in filterFunction is "unknown" for all products.
  * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
  * @returns {Promise<Array<string>>} data of product cards satisfying filterFunction.
  */
 async function filterProductCardsFromCatalog(criteria, callback, filterFunction) {
     is.invalidType('criteria', 'string', criteria);
 
-    const url = this.paginations.catalog[0] + criteria + this.paginations.catalog[1];
-    return await this.filterProductCardsFromPagination({ url }, callback, filterFunction);
+    const pagination = getPagination(this.paginations.catalog, criteria);
+    return await this.filterProductCardsFromPagination(pagination, callback, filterFunction);
 }
 
 /**
@@ -151,19 +187,75 @@ async function filterProductCardsFromCatalog(criteria, callback, filterFunction)
  * @param {string} query - search query.
  * @param {Function<CheeioAPI>: Array} callback - function that returns an array of product cards data from page.
  * @param {filterProductCardFunction} filterFunction
- * @param {Array<string>} this.paginations.search
+ * @param {Array<string>|Object} this.paginations.search
  * @param {string} [this.productListSelectors.images] - if not present, then imageExist parameter in filterFunction is false for all products.
  * @param {string} [this.productListSelectors.descriptions] - if not present, then descriptionExist parameter in filterFunction is false for all products.
  * @param {string} [this.placeholders.image] - if not present, then imageExist parameter in filterFunction is false for all products.
  * @param {string} [this.placeholders.description] - if not present, then descriptionExist parameter in filterFunction is false for all products.
+ * @param {string} [this.productListSelectors.availabilities] - if not present, then availability parameter in filterFunction is "unknown" for all products.
  * @param {string} [this.config.baseUrl] - if present, all relative URLs will be converted to absolute ones.
  * @returns {Promise<Array<string>>} data of product cards satisfying filterFunction.
  */
 async function filterProductCardsFromSearch(query, callback, filterFunction) {
     is.invalidType('query', 'string', query);
     
-    const url = this.paginations.search[0] + query + this.paginations.search[1];
-    return await this.filterProductCardsFromPagination({ url }, callback, filterFunction);
+    const pagination = getPagination(this.paginations.search, query);
+    return await this.filterProductCardsFromPagination(pagination, callback, filterFunction);
+}
+
+/**
+ * Stream all product cards from a pagination that satisfy filterFunction.
+ * 
+ * Cards are yielded page by page, and breaking out of a for await loop stops further fetches.
+ * 
+ * @example
+ * const pagination = { url: 'https://example.com/catalog?page=' };
+ * 
+ * for await (const url of scraper.streamProductCardsFromPagination(pagination, scraper.extractProductPageUrlsFromList, (x, y) => !x)) {
+ *     console.log(url); // product cards without a main image
+ * }
+ * 
+ * @param {Object} pagination - pagination options (see paginate).
+ * @param {Function<CheeioAPI>: Array} callback - function that returns an array of product cards data from page.
+ * @param {Function<imgExist: boolean, desExist: boolean, availability: string>: boolean} filterFunction
+ * @yields {any} data of each product card satisfying filterFunction.
+ * @returns {AsyncGenerator}
+ */
+async function* streamProductCardsFromPagination(pagination, callback, filterFunction) {
+    yield* this.paginate(withPageItems.call(this, pagination, callback),
+        $ => this.filterProductCardsFromPage($, callback, filterFunction));
+}
+
+/**
+ * Stream all product cards from a catalog section that satisfy filterFunction.
+ * 
+ * @param {string} criteria - catalog pagination criteria (usually a product brand).
+ * @param {Function<CheeioAPI>: Array} callback - function that returns an array of product cards data from page.
+ * @param {Function<imgExist: boolean, desExist: boolean, availability: string>: boolean} filterFunction
+ * @param {Array<string>|Object} this.paginations.catalog
+ * @yields {any} data of each product card satisfying filterFunction.
+ * @returns {AsyncGenerator}
+ */
+async function* streamProductCardsFromCatalog(criteria, callback, filterFunction) {
+    is.invalidType('criteria', 'string', criteria);
+
+    yield* this.streamProductCardsFromPagination(getPagination(this.paginations.catalog, criteria), callback, filterFunction);
+}
+
+/**
+ * Stream all product cards from search results that satisfy filterFunction.
+ * 
+ * @param {string} query - search query.
+ * @param {Function<CheeioAPI>: Array} callback - function that returns an array of product cards data from page.
+ * @param {Function<imgExist: boolean, desExist: boolean, availability: string>: boolean} filterFunction
+ * @param {Array<string>|Object} this.paginations.search
+ * @yields {any} data of each product card satisfying filterFunction.
+ * @returns {AsyncGenerator}
+ */
+async function* streamProductCardsFromSearch(query, callback, filterFunction) {
+    is.invalidType('query', 'string', query);
+
+    yield* this.streamProductCardsFromPagination(getPagination(this.paginations.search, query), callback, filterFunction);
 }
 
 module.exports = function (ProductScraper) {
@@ -171,6 +263,9 @@ module.exports = function (ProductScraper) {
         filterProductCardsFromPage,
         filterProductCardsFromPagination,
         filterProductCardsFromCatalog,
-        filterProductCardsFromSearch
+        filterProductCardsFromSearch,
+        streamProductCardsFromPagination,
+        streamProductCardsFromCatalog,
+        streamProductCardsFromSearch
     });
 }
\ No newline at end of file
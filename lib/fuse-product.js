@@ -67,20 +67,24 @@ function assessRelevance(results, thresholds) {
  * Search for the product among the array of product names by its basic info using Fuse.js.
  * Returns
  * 1. the index of the array such that productNames[index] is the most close to productName;
- * 2. relevance of productNames[index]. Relevance = 0 means that product names doesn't have any close enough name.
+ * 2. relevance of productNames[index]. Relevance = 0 means that product names doesn't have any close enough name;
+ * 3. Fuse.js score of productNames[index] that the relevance was assessed on (0 is a perfect match, 1 is a complete mismatch);
+ * 4. its score of a second search that distinguishes between close results (only for relevance = 2, otherwise null);
+ * 5. all results in the order of the search that chose productNames[index], with both scores.
  * 
  * @param {Object} basicInfo
  * @param {string} basicInfo.name
  * @param {string} [basicInfo.brand]
  * @param {Array<string>} productNames
- * @returns {{index: number, relevance: number}}
+ * @returns {{index: number, relevance: number, score: number, rerankedScore: number|null,
+ * results: Array<{index: number, score: number, rerankedScore: number|null}>}}
  * @private
  */
 function fuseSearchProduct(basicInfo, productNames, fuseOptionsBrand, fuseOptionsBrandless) {
     const name = normalize(basicInfo.name);
     const names = productNames.map(name => normalize(name));
 
-    const options = FUSE_DEFAULT_OPTIONS;
+    const options = { ...FUSE_DEFAULT_OPTIONS };
     let fuse = new Fuse(names, options);
     let query;
     let result = [];
@@ -107,17 +111,30 @@ function fuseSearchProduct(basicInfo, productNames, fuseOptionsBrand, fuseOption
 
     const relevance = assessRelevance(result, thresholds);
 
+    // Scores of the search that the relevance was assessed on, which are comparable with the thresholds
+    const scores = new Map(result.map(({ refIndex, score }) => [refIndex, score]));
+    let reranked = null;
+
     /*  The first result is close, but the second one is also close.
         Increase the significance of the name length to better distinguish between the two scores. */
     if (relevance === 2) {
         options.fieldNormWeight = 0.5;
         fuse = new Fuse(names, options);
-        result = fuse.search(query);
+        reranked = fuse.search(query);
     }
 
+    const results = (reranked || result).map(({ refIndex, score }) => ({
+        index: refIndex,
+        score: scores.get(refIndex) ?? null,
+        rerankedScore: reranked ? score : null
+    }));
+
     return {
-        index: result[0].refIndex,
-        relevance
+        index: results[0].index,
+        relevance,
+        score: results[0].score,
+        rerankedScore: results[0].rerankedScore,
+        results
     }
 }
 
@@ -0,0 +1,530 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const { promisify } = require('util');
+const zlib = require('zlib');
+const { readCacheEntry, writeCacheEntry } = require('./cache.js');
+const { HttpError, NetworkError, RobotsDisallowedError, FixtureMissingError } = require('./errors.js');
+const { parseRobotsTxt, getRobotsRules, isPathAllowed } = require('./robots.js');
+const { getScheduler, getLimits } = require('./scheduler.js');
+const is = require('./is.js');
+
+/**
+ * Serialize a cookie jar into a value of the Cookie header.
+ *
+ * @param {Object<string, string>} cookies
+ * @returns {string}
+ * @private
+ */
+function serializeCookies(cookies) {
+    return Object.entries(cookies)
+        .map(([name, value]) => `${name}=${value}`)
+        .join('; ');
+}
+
+/**
+ * Put cookies sent via Set-Cookie headers of a response into a cookie jar.
+ *
+ * @param {Object<string, string>} cookies - cookie jar.
+ * @param {Headers} headers - headers of a response.
+ * @returns {void}
+ * @private
+ */
+function storeCookies(cookies, headers) {
+    const setCookies = is.fn(headers?.getSetCookie) ? headers.getSetCookie() : [];
+
+    for (const setCookie of setCookies) {
+        const pair = setCookie.split(';')[0];
+        const index = pair.indexOf('=');
+
+        if (index <= 0) continue;
+
+        cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    }
+}
+
+/**
+ * Get headers of a request to send.
+ *
+ * @param {Object<string, string>} [extraHeaders] - headers of this particular request.
+ * @param {Object<string, string>} this.http.headers
+ * @param {Object<string, string>} this.http.cookies
+ * @returns {Object<string, string>}
+ * @private
+ */
+function getRequestHeaders(extraHeaders = {}) {
+    const headers = new Headers(this.http.headers);
+    const cookie = serializeCookies(this.http.cookies);
+
+    if (cookie) headers.set('Cookie', cookie);
+
+    for (const [name, value] of Object.entries(extraHeaders)) {
+        headers.set(name, value);
+    }
+
+    return Object.fromEntries(headers);
+}
+
+/**
+ * Wait for a given time.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - if aborted, the waiting is stopped with an Error.
+ * @returns {Promise<void>}
+ * @private
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(signal.reason);
+        };
+        const timeout = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Parse a value of the Retry-After header.
+ *
+ * @param {string|null} value - either a number of seconds or an HTTP date.
+ * @returns {number|undefined} delay in milliseconds.
+ * @private
+ */
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+    return undefined;
+}
+
+/**
+ * Get a delay before a next attempt of a request.
+ *
+ * @param {Error} error - error of a previous attempt.
+ * @param {number} attempt - number of a previous attempt (starting from 1).
+ * @param {Object} retry - this.http.retry
+ * @returns {number} delay in milliseconds.
+ * @private
+ */
+function getRetryDelay(error, attempt, retry) {
+    const backoff = Math.min(retry.delay * retry.factor ** (attempt - 1), retry.maxDelay);
+    const jittered = backoff * (1 - retry.jitter * Math.random());
+
+    if (error instanceof HttpError && (error.status === 429 || error.status === 503)) {
+        const retryAfter = parseRetryAfter(error.headers?.get?.('Retry-After'));
+        if (retryAfter !== undefined) return Math.min(Math.max(retryAfter, jittered), retry.maxDelay);
+    }
+
+    return jittered;
+}
+
+/**
+ * Can a request that failed with this error succeed on a next attempt?
+ *
+ * @param {Error} error
+ * @param {Array<number>} statusCodes - retryable status codes.
+ * @returns {boolean}
+ * @private
+ */
+function isRetryable(error, statusCodes) {
+    if (error instanceof HttpError) return statusCodes.includes(error.status);
+    return error instanceof NetworkError;
+}
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Decode a body of a response.
+ *
+ * A gzip file (e.g. sitemap.xml.gz) is decompressed. Bodies compressed via the Content-Encoding header are decompressed by fetch itself.
+ *
+ * @param {string} url
+ * @param {Buffer} body
+ * @returns {Promise<string>}
+ * @private
+ */
+async function decodeBody(url, body) {
+    let decompressed = body;
+
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+        try {
+            decompressed = await gunzip(body);
+        } catch (e) {
+            throw new Error(`${url} is not a valid gzip file`, { cause: e });
+        }
+    }
+
+    return new TextDecoder().decode(decompressed);
+}
+
+/**
+ * Receive a response to a request.
+ *
+ * In the "replay" mode of this.fixtures, the response is read from a fixture instead of a website.
+ * In the "record" mode, the response is written to a fixture.
+ *
+ * @param {string} url
+ * @param {Object<string, string>} headers - headers of this particular request.
+ * @param {Object} this.fixtures
+ * @returns {Promise<{url: string, status: number, statusText: string, headers: Headers, html: string}>}
+ * @throws {FixtureMissingError} if the URL was not recorded in the "replay" mode.
+ * @private
+ */
+async function receiveResponse(url, headers) {
+    const { mode, dir } = this.fixtures;
+
+    if (mode === 'replay') {
+        const fixture = await readCacheEntry(dir, url);
+
+        if (!fixture) throw new FixtureMissingError(url, dir);
+
+        return {
+            url: fixture.finalUrl,
+            status: fixture.status,
+            statusText: fixture.statusText,
+            headers: new Headers(fixture.headers),
+            html: fixture.html
+        };
+    }
+
+    const fetchFn = this.http.fetch || fetch;
+    let response;
+    let body;
+
+    try {
+        response = await fetchFn(url, { headers: getRequestHeaders.call(this, headers), signal: this.signal });
+        body = response.status === 304 ? Buffer.alloc(0) : Buffer.from(await response.arrayBuffer());
+    } catch (e) {
+        throw new NetworkError(url, e);
+    }
+
+    const html = await decodeBody(url, body);
+
+    if (mode === 'record') {
+        await writeCacheEntry(dir, {
+            url,
+            finalUrl: response.url || url,
+            status: response.status,
+            statusText: response.statusText || '',
+            headers: Object.fromEntries(response.headers),
+            html,
+            storedAt: Date.now()
+        });
+    }
+
+    return {
+        url: response.url || url,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        html
+    };
+}
+
+/**
+ * Send a request and read a page from its response.
+ *
+ * @param {string} url
+ * @param {Object<string, string>} [headers] - headers of this particular request.
+ * If they make the request conditional, the 304 status is not considered an error (and html is empty).
+ * @returns {Promise<{url: string, status: number, headers: Headers, html: string}>}
+ * @private
+ */
+async function sendRequest(url, headers = {}) {
+    const response = await receiveResponse.call(this, url, headers);
+
+    storeCookies(this.http.cookies, response.headers);
+
+    const isConditional = Object.keys(headers)
+        .some(name => /^if-(none-match|modified-since)$/i.test(name));
+
+    if (response.status === 304 && isConditional) {
+        return { url: response.url, status: 304, headers: response.headers, html: '' };
+    }
+
+    if (response.status < 200 || response.status > 299) {
+        throw new HttpError(url, response.status, response.statusText, response.headers);
+    }
+
+    return {
+        url: response.url,
+        status: response.status,
+        headers: response.headers,
+        html: response.html
+    };
+}
+
+/**
+ * Fetch a page in a single attempt.
+ *
+ * The request is queued by a scheduler of the URL host, which is shared by all ProductScraper instances.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.crawlDelay=0] - minimum delay in milliseconds between requests required by robots.txt.
+ * @param {Object<string, string>} [options.headers] - headers of this particular request.
+ * @param {Object} this.http.rateLimit
+ * @returns {Promise<{url: string, status: number, headers: Headers, html: string}>}
+ * @private
+ */
+async function requestPage(url, { crawlDelay = 0, headers = {} } = {}) {
+    const host = parseUrl(url).host;
+
+    // Fixtures are replayed without any delays.
+    if (this.fixtures.mode === 'replay') return await sendRequest.call(this, url, headers);
+
+    const limits = getLimits(this.http.rateLimit);
+
+    limits.interval = Math.max(limits.interval, crawlDelay);
+
+    return await getScheduler(host).schedule(() => sendRequest.call(this, url, headers), limits, this.signal);
+}
+
+/**
+ * Fetch a page with retries.
+ *
+ * @param {string} url
+ * @param {Object} [options] - options of requestPage.
+ * @param {Object} this.http.retry
+ * @returns {Promise<{url: string, status: number, headers: Headers, html: string}>}
+ * @private
+ */
+async function requestWithRetries(url, options = {}) {
+    const retry = this.http.retry;
+    let attempt = 1;
+
+    while (true) {
+        try {
+            return await requestPage.call(this, url, options);
+        } catch (e) {
+            const isFinal = this.signal.aborted ||
+                            attempt >= retry.attempts ||
+                            !isRetryable(e, retry.statusCodes);
+
+            if (isFinal) {
+                e.retries = attempt - 1;
+                if (e.retries > 0) e.message += ` (after ${e.retries} retries)`;
+                throw e;
+            }
+
+            await sleep(getRetryDelay(e, attempt, retry), this.signal);
+            attempt++;
+        }
+    }
+}
+
+/**
+ * Fetch a page from the on-disk cache or, if it is stale, from a website.
+ *
+ * A stale page having the ETag or Last-Modified header is revalidated with a conditional request,
+ * so it is not downloaded again unless it has changed.
+ *
+ * @param {string} url
+ * @param {Object} [options] - options of requestPage.
+ * @param {string} this.cache.dir
+ * @param {number} this.cache.ttl
+ * @returns {Promise<{url: string, status: number, headers: Headers, html: string}>}
+ * @private
+ */
+async function requestCachedPage(url, options = {}) {
+    const { dir, ttl } = this.cache;
+    const entry = await readCacheEntry(dir, url);
+    const toPage = entry => ({
+        url: entry.finalUrl,
+        status: entry.status,
+        headers: new Headers(entry.headers),
+        html: entry.html
+    });
+
+    if (entry && Date.now() - entry.storedAt < ttl) return toPage(entry);
+
+    const headers = {};
+
+    if (entry?.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+    if (entry?.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+
+    const page = await requestWithRetries.call(this, url, { ...options, headers });
+
+    if (page.status === 304) {
+        entry.storedAt = Date.now();
+        await writeCacheEntry(dir, entry);
+        return toPage(entry);
+    }
+
+    await writeCacheEntry(dir, {
+        url,
+        finalUrl: page.url,
+        status: page.status,
+        headers: Object.fromEntries(page.headers),
+        html: page.html,
+        storedAt: Date.now()
+    });
+
+    return page;
+}
+
+/**
+ * @param {string} url
+ * @returns {URL}
+ * @private
+ */
+function parseUrl(url) {
+    try {
+        return new URL(url);
+    } catch (e) {
+        throw new Error(`${url} is not a valid URL`, { cause: e });
+    }
+}
+
+/**
+ * @param {Object<string, string>} this.http.headers
+ * @returns {string}
+ * @private
+ */
+function getUserAgent() {
+    return new Headers(this.http.headers).get('User-Agent') || '*';
+}
+
+/**
+ * Get rules of robots.txt of a website that apply to the user agent of this.http.headers.
+ *
+ * robots.txt is fetched once per origin. If it does not exist, all URLs are allowed.
+ *
+ * @param {string} origin
+ * @returns {Promise<{rules: Array<{allow: boolean, path: string}>, crawlDelay?: number}>}
+ * @private
+ */
+function getRobotsRulesOfOrigin(origin) {
+    if (!this.robotsTxt.has(origin)) {
+        const rules = requestWithRetries.call(this, origin + '/robots.txt')
+            .then(page => parseRobotsTxt(page.html), e => {
+                if (e instanceof HttpError && e.status >= 400 && e.status < 500) return [];
+
+                this.robotsTxt.delete(origin); // Do not cache a temporary failure
+                throw e;
+            })
+            .then(groups => getRobotsRules(groups, getUserAgent.call(this)));
+
+        this.robotsTxt.set(origin, rules);
+    }
+
+    return this.robotsTxt.get(origin);
+}
+
+/**
+ * Is a URL allowed to be fetched by robots.txt of its website?
+ *
+ * Rules are chosen by the User-Agent header of this.http.headers (or the rules for "*" if it is not present).
+ *
+ * @param {string} url
+ * @param {Object<string, string>} [this.http.headers]
+ * @returns {Promise<boolean>}
+ */
+async function isAllowedByRobots(url) {
+    is.invalidType('url', 'string', url);
+
+    const { origin, pathname, search } = parseUrl(url);
+    const { rules } = await getRobotsRulesOfOrigin.call(this, origin);
+
+    return isPathAllowed(rules, pathname + search);
+}
+
+/**
+ * Fetch a page.
+ *
+ * A request is retried with an exponential backoff when it fails due to a network error or a retryable status code.
+ * The delay before the N-th retry is this.http.retry.delay * this.http.retry.factor^(N - 1), which is reduced by a random jitter.
+ * When a server responds with 429 or 503 and the Retry-After header, the delay is at least the one requested by the server.
+ * Either delay is at most this.http.retry.maxDelay, so a longer Retry-After is not waited for in full.
+ *
+ * Requests to the same host are limited by this.http.rateLimit, including requests of other ProductScraper instances.
+ *
+ * If this.config.respectRobots is true, URLs disallowed by robots.txt are not requested,
+ * and Crawl-delay of robots.txt is used as a minimum delay between requests.
+ *
+ * If this.cache.dir is present, pages are cached there for this.cache.ttl milliseconds and revalidated afterwards.
+ *
+ * A gzip file (e.g. sitemap.xml.gz) is decompressed, so html is its text.
+ *
+ * If this.fixtures.mode is "record", every response is saved to this.fixtures.dir.
+ * If it is "replay", responses are served from there, and a URL that was not recorded fails with FixtureMissingError.
+ *
+ * @example
+ * const scraper = new ProductScraper({
+ *     http: {
+ *         headers: { 'User-Agent': 'Mozilla/5.0', 'Accept-Language': 'en-US' },
+ *         cookies: { session: '0123' },
+ *         retry: { attempts: 5, statusCodes: [429, 503] },
+ *         rateLimit: { requestsPerSecond: 2, maxConcurrent: 1 }
+ *     }
+ * });
+ *
+ * const page = await scraper.fetchPage('https://example.com/product/0123');
+ * // page = { url: 'https://example.com/product/0123', status: 200, headers: Headers {...}, html: '<!DOCTYPE html>...' }
+ *
+ * @param {string} url
+ * @param {Object<string, string>} [this.http.headers]
+ * @param {Object<string, string>} [this.http.cookies] - cookie jar. Cookies sent by a server are stored there.
+ * @param {Function} [this.http.fetch] - if not present, the global fetch is used.
+ * @param {Object} this.http.retry
+ * @param {Object} this.http.rateLimit
+ * @param {boolean} [this.config.respectRobots]
+ * @param {Object} this.cache
+ * @param {Object} this.fixtures
+ * @returns {Promise<{url: string, status: number, headers: Headers, html: string}>} url is the final URL of the page after redirects.
+ * @throws {HttpError} if a server responds with a non-2xx status code. Its retries property is the number of retries made.
+ * @throws {NetworkError} if a request fails before a server responds. Its retries property is the number of retries made.
+ * @throws {RobotsDisallowedError} if this.config.respectRobots is true and the URL is disallowed by robots.txt.
+ * @throws {FixtureMissingError} if this.fixtures.mode is "replay" and the URL was not recorded.
+ */
+async function fetchPage(url) {
+    is.invalidType('url', 'string', url);
+
+    let crawlDelay = 0;
+
+    if (this.config.respectRobots) {
+        const { origin, pathname, search } = parseUrl(url);
+        const { rules, crawlDelay: robotsCrawlDelay } = await getRobotsRulesOfOrigin.call(this, origin);
+
+        if (!isPathAllowed(rules, pathname + search)) {
+            throw new RobotsDisallowedError(url, getUserAgent.call(this));
+        }
+
+        crawlDelay = (robotsCrawlDelay || 0) * 1000;
+    }
+
+    if (this.cache.dir) {
+        return await requestCachedPage.call(this, url, { crawlDelay });
+    }
+
+    return await requestWithRetries.call(this, url, { crawlDelay });
+}
+
+module.exports = function (ProductScraper) {
+    Object.assign(ProductScraper.prototype, {
+        fetchPage,
+        isAllowedByRobots
+    });
+    Object.assign(ProductScraper, {
+        HttpError,
+        NetworkError,
+        RobotsDisallowedError,
+        FixtureMissingError
+    });
+};
\ No newline at end of file
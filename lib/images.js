@@ -0,0 +1,104 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+/**
+ * Pick the highest-resolution candidate of a srcset.
+ *
+ * @example
+ * pickFromSrcset('small.jpg 480w, large.jpg 1080w'); // 'large.jpg'
+ * pickFromSrcset('image.jpg, image@2x.jpg 2x'); // 'image@2x.jpg'
+ *
+ * @param {string} srcset
+ * @returns {string|undefined} undefined if srcset does not have any candidates.
+ */
+function pickFromSrcset(srcset) {
+    let best;
+    let bestSize = -Infinity;
+
+    // URLs may contain commas, so candidates are split by commas followed by a whitespace or by a descriptor.
+    for (const candidate of srcset.split(/,\s+|(?<=\s\d+(?:\.\d+)?[wx]),/)) {
+        const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+
+        if (!url) continue;
+
+        // Width descriptors outweigh density descriptors, since they are usually much larger numbers.
+        const size = parseFloat(descriptor) * (descriptor.endsWith('w') ? 1 : 100);
+
+        if (size > bestSize) {
+            best = url;
+            bestSize = size;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Get a URL of an inline background-image of an element.
+ *
+ * @param {string} [style] - value of the style attribute.
+ * @returns {string|undefined}
+ * @private
+ */
+function getBackgroundImageUrl(style = '') {
+    const match = style.match(/background(?:-image)?\s*:[^;]*url\(\s*(['"]?)(.*?)\1\s*\)/i);
+    return match?.[2];
+}
+
+/**
+ * Is this URL an actual image rather than an inline placeholder?
+ *
+ * @param {string} [url]
+ * @returns {boolean}
+ * @private
+ */
+function isImageUrl(url) {
+    return !!url && !/^data:/i.test(url.trim());
+}
+
+/**
+ * Get an image URL of an element from the first of image sources that has one.
+ *
+ * A source is either an attribute name or one of the special sources:
+ * "picture" - highest-resolution candidate of <source> elements of an enclosing <picture> (or of the element itself if it is <picture>);
+ * "background-image" - URL of an inline background-image style.
+ * Attributes named "srcset" or ending with "-srcset" are read as srcsets. Inline data: URLs are skipped as placeholders.
+ *
+ * @param {CheerioAPI} $
+ * @param {Element} el
+ * @param {Array<string>} sources
+ * @returns {string|undefined}
+ */
+function getImageUrl($, el, sources) {
+    const $el = $(el);
+
+    for (const source of sources) {
+        let url;
+
+        if (source === 'picture') {
+            const $picture = $el.is('picture') ? $el : $el.closest('picture');
+            url = $picture.find('source').toArray()
+                .map(sourceEl => pickFromSrcset($(sourceEl).attr('srcset') || $(sourceEl).attr('data-srcset') || ''))
+                .find(isImageUrl);
+        } else if (source === 'background-image') {
+            url = getBackgroundImageUrl($el.attr('style'));
+        } else if (source === 'srcset' || source.endsWith('-srcset')) {
+            url = pickFromSrcset($el.attr(source) || '');
+        } else {
+            url = $el.attr(source);
+        }
+
+        if (isImageUrl(url)) return url.trim();
+    }
+
+    return undefined;
+}
+
+module.exports = {
+    pickFromSrcset,
+    getImageUrl
+};
\ No newline at end of file
@@ -6,8 +6,14 @@
 'use strict'; 
 
 const ProductScraper = require('./constructor.js');
+require('./http.js')(ProductScraper);
 require('./extract.js')(ProductScraper);
+require('./fields.js')(ProductScraper);
+require('./variants.js')(ProductScraper);
+require('./reviews.js')(ProductScraper);
+require('./product.js')(ProductScraper);
 require('./filter.js')(ProductScraper);
 require('./search.js')(ProductScraper);
+require('./crawler.js')(ProductScraper);
 
 module.exports = ProductScraper;
\ No newline at end of file
@@ -5,6 +5,8 @@
 
 'use strict';
 
+const { EmptySelectionError } = require('./errors.js');
+
 /**
  * Is this value defined?
  * 
@@ -137,10 +139,11 @@ function invalidType(valName, typeName, val, isOptional = false) {
  * @param {Array<any>} elements
  * @param {string} selector
  * @returns {void}
+ * @throws {EmptySelectionError} if elements is empty.
  */
 function emptySelection(elements, selector) {
     if (elements.length === 0) {
-        throw new Error(`Selector ${selector} do not match any element`);
+        throw new EmptySelectionError(selector);
     }
 }
 
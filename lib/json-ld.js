@@ -0,0 +1,245 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const is = require('./is.js');
+
+/**
+ * Extract all JSON-LD nodes of a page.
+ *
+ * Nodes are collected from every <script type="application/ld+json">, including nodes of arrays, @graph and nested nodes.
+ * Scripts with invalid JSON are skipped.
+ *
+ * @param {CheerioAPI} $
+ * @returns {Array<Object>}
+ */
+function extractJsonLd($) {
+    const nodes = [];
+
+    const collect = val => {
+        if (is.array(val)) return val.forEach(collect);
+        if (!is.object(val)) return;
+        if (val['@type']) nodes.push(val);
+
+        for (const [key, child] of Object.entries(val)) {
+            if (key !== '@context') collect(child);
+        }
+    };
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+        const text = $(el).text().trim()
+            .replace(/^<!--|-->$/g, '')
+            .replace(/;\s*$/, '');
+
+        try {
+            collect(JSON.parse(text));
+        } catch (e) {
+            // A website's invalid JSON-LD is not a reason to fail
+        }
+    });
+
+    return nodes;
+}
+
+/**
+ * Does a JSON-LD node have this type?
+ *
+ * @param {Object} node
+ * @param {string} type - schema.org type without a prefix (e.g. "Product").
+ * @returns {boolean}
+ */
+function hasJsonLdType(node, type) {
+    const types = is.array(node['@type']) ? node['@type'] : [node['@type']];
+    return types.some(t => is.string(t) && t.replace(/^(https?:\/\/schema\.org\/|schema:)/, '') === type);
+}
+
+/**
+ * Get text of a JSON-LD value that may be a string, a number, a node with a name, or an array of them.
+ *
+ * @param {any} val
+ * @returns {string|undefined}
+ * @private
+ */
+function toText(val) {
+    if (is.array(val)) return toText(val[0]);
+    if (is.string(val)) return val.trim();
+    if (is.number(val)) return String(val);
+    if (is.object(val)) return toText(val.name ?? val['@value']);
+    return undefined;
+}
+
+/**
+ * Get URLs of a JSON-LD image value that may be a URL, an ImageObject, or an array of them.
+ *
+ * @param {any} val
+ * @returns {Array<string>}
+ * @private
+ */
+function toUrls(val) {
+    if (is.array(val)) return val.flatMap(toUrls);
+    if (is.string(val)) return [val];
+    if (is.object(val)) return toUrls(val.contentUrl ?? val.url);
+    return [];
+}
+
+/**
+ * Normalize offers of a JSON-LD Product node.
+ *
+ * @param {any} val - Offer, AggregateOffer, or an array of them.
+ * @returns {Array<{price?: string, lowPrice?: string, highPrice?: string, currency?: string, availability?: string, url?: string, sku?: string}>}
+ * @private
+ */
+function toOffers(val) {
+    if (is.array(val)) return val.flatMap(toOffers);
+    if (!is.object(val)) return [];
+
+    const nested = hasJsonLdType(val, 'AggregateOffer') ? toOffers(val.offers) : [];
+    const offer = _.omitBy({
+        price: toText(val.price),
+        lowPrice: toText(val.lowPrice),
+        highPrice: toText(val.highPrice),
+        currency: toText(val.priceCurrency),
+        availability: toText(val.availability),
+        url: toText(val.url),
+        sku: toText(val.sku)
+    }, _.isUndefined);
+
+    return [offer, ...nested];
+}
+
+/**
+ * Normalize an AggregateRating of a JSON-LD Product node.
+ *
+ * @param {any} val
+ * @returns {{value?: string, count?: string, best?: string}|undefined}
+ * @private
+ */
+function toRating(val) {
+    if (is.array(val)) return toRating(val[0]);
+    if (!is.object(val)) return undefined;
+
+    return _.omitBy({
+        value: toText(val.ratingValue),
+        count: toText(val.reviewCount ?? val.ratingCount),
+        best: toText(val.bestRating)
+    }, _.isUndefined);
+}
+
+/**
+ * Normalize reviews of a JSON-LD Product node.
+ *
+ * @param {any} val - Review or an array of them.
+ * @returns {Array<{author?: string, date?: string, score?: string, text?: string}>}
+ * @private
+ */
+function toReviews(val) {
+    if (is.array(val)) return val.flatMap(toReviews);
+    if (!is.object(val)) return [];
+
+    return [_.omitBy({
+        author: toText(val.author),
+        date: toText(val.datePublished ?? val.dateCreated),
+        score: toText(val.reviewRating?.ratingValue),
+        text: toText(val.reviewBody ?? val.description)
+    }, _.isUndefined)];
+}
+
+/**
+ * Extract the first schema.org Product of a page from its JSON-LD.
+ *
+ * @example
+ * const html = `
+ * <script type="application/ld+json">
+ * {
+ *     "@context": "https://schema.org",
+ *     "@graph": [{
+ *         "@type": "Product",
+ *         "sku": "0123",
+ *         "name": "Product",
+ *         "image": ["/images/0123.jpg"],
+ *         "brand": { "@type": "Brand", "name": "Brand" },
+ *         "offers": { "@type": "Offer", "price": "9.99", "priceCurrency": "USD" }
+ *     }]
+ * }
+ * </script>`;
+ * const $ = require('cheerio').load(html);
+ *
+ * const product = ProductScraper.extractJsonLdProduct($);
+ * // product = { id: '0123', name: 'Product', brand: 'Brand', imageUrls: ['/images/0123.jpg'], offers: [{ price: '9.99', currency: 'USD' }] }
+ *
+ * @param {CheerioAPI} $
+ * @returns {{id?: string, name?: string, description?: string, brand?: string, imageUrls: Array<string>, offers: Array<Object>,
+ * rating?: Object, reviews: Array<Object>, node: Object}|null} null if the page does not have a Product node. node is the original JSON-LD node.
+ */
+function extractJsonLdProduct($) {
+    const node = extractJsonLd($).find(node => hasJsonLdType(node, 'Product'));
+
+    if (!node) return null;
+
+    return _.omitBy({
+        id: toText(node.sku ?? node.productID ?? node.mpn),
+        name: toText(node.name),
+        description: toText(node.description),
+        brand: toText(node.brand),
+        imageUrls: toUrls(node.image),
+        offers: toOffers(node.offers),
+        rating: toRating(node.aggregateRating),
+        reviews: toReviews(node.review ?? node.reviews),
+        node
+    }, _.isUndefined);
+}
+
+/**
+ * Extract the first schema.org BreadcrumbList of a page from its JSON-LD.
+ *
+ * @example
+ * const html = `
+ * <script type="application/ld+json">
+ * {
+ *     "@context": "https://schema.org",
+ *     "@type": "BreadcrumbList",
+ *     "itemListElement": [
+ *         { "@type": "ListItem", "position": 2, "name": "Phones", "item": "/catalog/phones" },
+ *         { "@type": "ListItem", "position": 1, "name": "Electronics", "item": { "@id": "/catalog" } }
+ *     ]
+ * }
+ * </script>`;
+ * const $ = require('cheerio').load(html);
+ *
+ * const breadcrumbs = ProductScraper.extractJsonLdBreadcrumbs($);
+ * // breadcrumbs = [{ name: 'Electronics', url: '/catalog' }, { name: 'Phones', url: '/catalog/phones' }]
+ *
+ * @param {CheerioAPI} $
+ * @returns {Array<{name: string, url: string|null}>|null} breadcrumbs ordered by their positions.
+ * null if the page does not have a BreadcrumbList node.
+ */
+function extractJsonLdBreadcrumbs($) {
+    const node = extractJsonLd($).find(node => hasJsonLdType(node, 'BreadcrumbList'));
+
+    if (!node) return null;
+
+    const items = _.castArray(node.itemListElement || []).filter(is.object);
+
+    return _.sortBy(items, item => Number(item.position) || 0)
+        .map(item => {
+            const target = is.object(item.item) ? item.item : {};
+            const url = is.string(item.item) ? item.item : target['@id'] ?? target.url;
+
+            return {
+                name: toText(item.name ?? target.name),
+                url: is.string(url) && url ? url : null
+            };
+        })
+        .filter(breadcrumb => breadcrumb.name);
+}
+
+module.exports = {
+    extractJsonLd,
+    hasJsonLdType,
+    extractJsonLdProduct,
+    extractJsonLdBreadcrumbs
+};
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Attributes of the supported syntaxes: microdata and RDFa.
+ *
+ * @private
+ */
+const SYNTAXES = [
+    { scope: 'itemscope', type: 'itemtype', prop: 'itemprop' },
+    { scope: 'typeof', type: 'typeof', prop: 'property' }
+];
+
+/**
+ * Is this itemtype (or typeof) a schema.org Product?
+ *
+ * @param {string} [type] - space-separated list of types.
+ * @returns {boolean}
+ * @private
+ */
+function isProductType(type = '') {
+    return type.split(/\s+/).some(t => /^(https?:\/\/schema\.org\/|schema:)?Product$/.test(t));
+}
+
+/**
+ * Get a value of a property element.
+ *
+ * @param {Cheerio} $el
+ * @returns {string}
+ * @private
+ */
+function getPropValue($el) {
+    const content = $el.attr('content');
+    if (content !== undefined) return content.trim();
+
+    switch ($el.prop('tagName')?.toLowerCase()) {
+        case 'img':
+        case 'source':
+        case 'video':
+        case 'audio':
+        case 'iframe':
+        case 'embed':
+            return ($el.attr('src') || '').trim();
+        case 'a':
+        case 'link':
+        case 'area':
+            return ($el.attr('href') || '').trim();
+        case 'data':
+        case 'meter':
+            return ($el.attr('value') || '').trim();
+        case 'time':
+            return ($el.attr('datetime') || $el.text()).trim();
+    }
+
+    return $el.text().trim();
+}
+
+/**
+ * Create functions that read properties of an item.
+ *
+ * @param {CheerioAPI} $
+ * @param {Element} scopeEl - element of the item.
+ * @param {{scope: string, type: string, prop: string}} syntax
+ * @returns {{props: Function<string>: Array<Cheerio>, value: Function<string>: string|undefined}}
+ * @private
+ */
+function propReader($, scopeEl, syntax) {
+    const scopeSelector = `[${syntax.scope}]`;
+
+    // Properties of nested items (e.g. price of an offer) are not properties of the item itself.
+    const props = name => $(scopeEl)
+        .find(`[${syntax.prop}~="${name}"], [${syntax.prop}~="schema:${name}"]`)
+        .toArray()
+        .filter(el => $(el).parent().closest(scopeSelector)[0] === scopeEl)
+        .map(el => $(el));
+
+    const value = name => {
+        const $el = props(name)[0];
+
+        if (!$el) return undefined;
+        if ($el.is(scopeSelector)) return propReader($, $el[0], syntax).value('name') ?? getPropValue($el);
+
+        return getPropValue($el) || undefined;
+    };
+
+    return { props, value };
+}
+
+/**
+ * Extract the first schema.org Product of a page from its microdata or RDFa.
+ *
+ * @example
+ * const html = `
+ * <div itemscope itemtype="https://schema.org/Product">
+ *     <h1 itemprop="name">Product</h1>
+ *     <img itemprop="image" src="/images/0123.jpg" />
+ *     <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+ *         <span itemprop="price" content="9.99">$9.99</span>
+ *         <meta itemprop="priceCurrency" content="USD" />
+ *     </div>
+ * </div>`;
+ * const $ = require('cheerio').load(html);
+ *
+ * const product = ProductScraper.extractMicrodataProduct($);
+ * // product = { name: 'Product', imageUrls: ['/images/0123.jpg'], offers: [{ price: '9.99', currency: 'USD' }] }
+ *
+ * @param {CheerioAPI} $
+ * @returns {{id?: string, name?: string, description?: string, brand?: string, imageUrls: Array<string>, offers: Array<Object>,
+ * rating?: Object, reviews: Array<Object>}|null} null if the page does not have a Product item.
+ */
+function extractMicrodataProduct($) {
+    for (const syntax of SYNTAXES) {
+        const scopeEl = $(`[${syntax.scope}]`).toArray()
+            .find(el => isProductType($(el).attr(syntax.type)));
+
+        if (!scopeEl) continue;
+
+        const { props, value } = propReader($, scopeEl, syntax);
+
+        const offers = props('offers')
+            .filter($el => $el.is(`[${syntax.scope}]`))
+            .map($el => {
+                const offer = propReader($, $el[0], syntax).value;
+                return _.omitBy({
+                    price: offer('price'),
+                    lowPrice: offer('lowPrice'),
+                    highPrice: offer('highPrice'),
+                    currency: offer('priceCurrency'),
+                    availability: offer('availability'),
+                    url: offer('url'),
+                    sku: offer('sku')
+                }, _.isUndefined);
+            });
+
+        const rating = props('aggregateRating')
+            .filter($el => $el.is(`[${syntax.scope}]`))
+            .map($el => {
+                const rating = propReader($, $el[0], syntax).value;
+                return _.omitBy({
+                    value: rating('ratingValue'),
+                    count: rating('reviewCount') ?? rating('ratingCount'),
+                    best: rating('bestRating')
+                }, _.isUndefined);
+            })[0];
+
+        const reviews = props('review')
+            .filter($el => $el.is(`[${syntax.scope}]`))
+            .map($el => {
+                const { props, value: review } = propReader($, $el[0], syntax);
+                const $rating = props('reviewRating').find($el => $el.is(`[${syntax.scope}]`));
+
+                return _.omitBy({
+                    author: review('author'),
+                    date: review('datePublished') ?? review('dateCreated'),
+                    score: $rating ? propReader($, $rating[0], syntax).value('ratingValue') : undefined,
+                    text: review('reviewBody') ?? review('description')
+                }, _.isUndefined);
+            });
+
+        return _.omitBy({
+            id: value('sku') ?? value('productID') ?? value('mpn'),
+            name: value('name'),
+            description: value('description'),
+            brand: value('brand'),
+            imageUrls: props('image').map(getPropValue).filter(Boolean),
+            offers,
+            rating,
+            reviews
+        }, _.isUndefined);
+    }
+
+    return null;
+}
+
+module.exports = {
+    extractMicrodataProduct
+};
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Extract OpenGraph metadata of a page.
+ *
+ * Both <meta property="..."> and <meta name="..."> tags with the og: and product: prefixes are included.
+ *
+ * @param {CheerioAPI} $
+ * @returns {Object<string, Array<string>>} values of each property in order of appearance.
+ */
+function extractOpenGraph($) {
+    const metadata = {};
+
+    $('meta[property], meta[name]').each((i, el) => {
+        const property = ($(el).attr('property') || $(el).attr('name')).trim().toLowerCase();
+        const content = $(el).attr('content');
+
+        if (!/^(og|product):/.test(property) || content === undefined) return;
+
+        (metadata[property] ||= []).push(content.trim());
+    });
+
+    return metadata;
+}
+
+/**
+ * Extract a product of a page from its OpenGraph metadata.
+ *
+ * @example
+ * const html = `
+ * <meta property="og:title" content="Product" />
+ * <meta property="og:image" content="/images/0123.jpg" />
+ * <meta property="product:price:amount" content="9.99" />
+ * <meta property="product:price:currency" content="USD" />`;
+ * const $ = require('cheerio').load(html);
+ *
+ * const product = ProductScraper.extractOpenGraphProduct($);
+ * // product = { name: 'Product', imageUrls: ['/images/0123.jpg'], offers: [{ price: '9.99', currency: 'USD' }] }
+ *
+ * @param {CheerioAPI} $
+ * @returns {{id?: string, name?: string, description?: string, brand?: string, imageUrls: Array<string>, offers: Array<Object>}|null}
+ * null if the page does not have any OpenGraph metadata.
+ */
+function extractOpenGraphProduct($) {
+    const metadata = extractOpenGraph($);
+
+    if (_.isEmpty(metadata)) return null;
+
+    const first = (...properties) => properties.map(property => metadata[property]?.[0]).find(Boolean);
+
+    const offer = _.omitBy({
+        price: first('product:price:amount', 'og:price:amount'),
+        currency: first('product:price:currency', 'og:price:currency'),
+        availability: first('product:availability', 'og:availability')
+    }, _.isUndefined);
+
+    return _.omitBy({
+        id: first('product:retailer_item_id'),
+        name: first('og:title'),
+        description: first('og:description'),
+        brand: first('product:brand', 'og:brand'),
+        imageUrls: _.uniq([
+            ...(metadata['og:image'] || []),
+            ...(metadata['og:image:url'] || []),
+            ...(metadata['og:image:secure_url'] || [])
+        ].filter(Boolean)),
+        offers: _.isEmpty(offer) ? [] : [offer]
+    }, _.isUndefined);
+}
+
+module.exports = {
+    extractOpenGraph,
+    extractOpenGraphProduct
+};
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const is = require('./is.js');
+
+/**
+ * Reasons why an iteration over pagination stopped.
+ *
+ * @example
+ * last - pagination.last was reached.
+ * maxPages - pagination.maxPages pages were fetched.
+ * total - the callback returned as many results as a total number of pagination.totalSelector.
+ * noNextLink - a page does not have a link of pagination.nextSelector.
+ * visitedNextLink - a link of pagination.nextSelector leads to a page that was already fetched.
+ * redirect - a page was redirected to another URL (see pagination.stopOnRedirect).
+ * emptyResults - a page matches pagination.emptySelector.
+ * repeatedPage - a page has the same results as one of the previous pages (see pagination.fingerprints).
+ * callbackError - the callback threw an error on a page after the first one, which usually means that the page does not have a product list.
+ * consumer - a consumer of paginate stopped the iteration (e.g. by a break of a for await loop).
+ */
+const stopReasons = ['last', 'maxPages', 'total', 'noNextLink', 'visitedNextLink', 'redirect', 'emptyResults', 'repeatedPage',
+                     'callbackError', 'consumer'];
+
+/**
+ * Get a fingerprint of a page, which is a hash of a set of its results.
+ *
+ * Results are serialized and sorted, so the fingerprint does not depend on their order.
+ *
+ * @param {Array<any>} items - results of a callback on the page.
+ * @returns {string}
+ */
+function getPageFingerprint(items) {
+    const serialized = items.map(item => JSON.stringify(item) ?? String(item)).sort();
+    return crypto.createHash('sha1').update(JSON.stringify(serialized)).digest('hex');
+}
+
+/**
+ * Pattern of placeholders of a page in a URL template.
+ *
+ * @private
+ */
+const PAGE_PLACEHOLDER_REGEX = /\{(page|offset)\}/;
+
+/**
+ * Validate a pagination of config.paginations.
+ *
+ * @param {string} name - name of the pagination used in errors (e.g. "config.paginations.search").
+ * @param {Array<string>|Object} pagination - prefix and suffix of a criteria, or a pagination strategy.
+ * @returns {void}
+ * @throws {Error} if the pagination is invalid.
+ */
+function validatePagination(name, pagination) {
+    if (is.array(pagination)) {
+        if (!pagination.every(is.string)) {
+            throw is.invalidTypeError(name, 'array of strings', pagination);
+        }
+
+        return;
+    }
+
+    is.invalidType(name, 'object', pagination);
+    is.invalidType(`${name}.url`, 'string', pagination.url);
+    is.invalidType(`${name}.first`, 'number', pagination.first, true);
+    is.invalidType(`${name}.start`, 'number', pagination.start, true);
+    is.invalidType(`${name}.last`, 'number', pagination.last, true);
+    is.invalidType(`${name}.pageSize`, 'number', pagination.pageSize, true);
+    is.invalidType(`${name}.nextSelector`, 'string', pagination.nextSelector, true);
+    is.invalidType(`${name}.totalSelector`, 'string', pagination.totalSelector, true);
+    is.invalidType(`${name}.emptySelector`, 'string', pagination.emptySelector, true);
+    is.invalidType(`${name}.maxPages`, 'number', pagination.maxPages, true);
+    is.invalidType(`${name}.fingerprints`, 'boolean', pagination.fingerprints, true);
+    is.invalidType(`${name}.stopOnRedirect`, 'boolean', pagination.stopOnRedirect, true);
+    is.invalidType(`${name}.onStop`, 'function', pagination.onStop, true);
+    is.invalidType(`${name}.pageItems`, 'function', pagination.pageItems, true);
+
+    if (pagination.url.includes('{offset}') && !pagination.pageSize) {
+        throw new Error(`${name}.pageSize is required by the {offset} placeholder`);
+    }
+}
+
+/**
+ * Get pagination options of iterateOverPagination for a criteria.
+ *
+ * @example
+ * getPagination(['https://example.com/catalog/', '?page='], 'brand');
+ * // { url: 'https://example.com/catalog/brand?page=' }
+ *
+ * getPagination({ url: 'https://example.com/search?q={query}&page={page}' }, 'red shoes');
+ * // { url: 'https://example.com/search?q=red%20shoes&page={page}' }
+ *
+ * @param {Array<string>|Object} pagination - pagination of config.paginations.
+ * @param {string} criteria - search query, catalog criteria (e.g. a brand) or product ID.
+ * @returns {{url: string, first?: number, last?: number, pageSize?: number, nextSelector?: string, totalSelector?: string}}
+ */
+function getPagination(pagination, criteria) {
+    is.invalidType('criteria', 'string', criteria);
+
+    if (is.array(pagination)) {
+        return { url: pagination[0] + criteria + (pagination[1] || '') };
+    }
+
+    const encoded = encodeURIComponent(criteria);
+    return { ...pagination, url: pagination.url.replace(/\{(query|criteria)\}/g, encoded) };
+}
+
+/**
+ * Does a URL of pagination options have {page} or {offset} placeholders?
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+function hasPagePlaceholders(url) {
+    return PAGE_PLACEHOLDER_REGEX.test(url);
+}
+
+/**
+ * Get URL of a pagination page.
+ *
+ * If the URL of pagination options has {page} or {offset} placeholders, they are replaced with a page number
+ * and an offset of the page's first product (pagination.pageSize * number of previous pages).
+ * Otherwise, the page number is appended to the URL.
+ *
+ * @param {Object} pagination - pagination options of iterateOverPagination.
+ * @param {string} pagination.url
+ * @param {number} [pagination.first=1]
+ * @param {number} [pagination.pageSize]
+ * @param {number} pageNum
+ * @returns {string}
+ */
+function getPageUrl(pagination, pageNum) {
+    const { url, first = 1, pageSize = 0 } = pagination;
+
+    if (!hasPagePlaceholders(url)) return url + pageNum;
+
+    return url
+        .replace(/\{page\}/g, pageNum)
+        .replace(/\{offset\}/g, (pageNum - first) * pageSize);
+}
+
+/**
+ * Are next pages of a pagination found by links?
+ *
+ * Then a URL without placeholders is the first page itself, rather than a part of a URL before a page number.
+ *
+ * @param {{url: string, nextSelector?: string}} options - pagination options.
+ * @returns {boolean}
+ */
+function isLinkedPagination(options) {
+    return !!options.nextSelector && !hasPagePlaceholders(options.url);
+}
+
+/**
+ * Do two URLs of a page refer to the same page?
+ *
+ * URLs are compared after normalization, so the URL of a fetched page (which fetch normalizes, e.g. encodes spaces)
+ * is the same as the requested one.
+ *
+ * @param {string} url
+ * @param {string} otherUrl
+ * @returns {boolean}
+ */
+function isSameUrl(url, otherUrl) {
+    const normalize = val => {
+        try {
+            return new URL(val).href;
+        } catch (e) {
+            return val;
+        }
+    };
+
+    return normalize(url) === normalize(otherUrl);
+}
+
+/**
+ * Get URL of the first page of a pagination for a criteria.
+ *
+ * For prefix and suffix of a criteria, it is the prefix and the criteria, as the first page is usually available without a page number.
+ * For a pagination strategy, it is the URL of its first page (its URL itself if next pages are found by links).
+ *
+ * @param {Array<string>|Object} pagination - pagination of config.paginations.
+ * @param {string} criteria
+ * @returns {string}
+ */
+function getFirstPageUrl(pagination, criteria) {
+    if (is.array(pagination)) return pagination[0] + criteria;
+
+    const options = getPagination(pagination, criteria);
+    return isLinkedPagination(options) ? options.url : getPageUrl(options, options.first ?? 1);
+}
+
+module.exports = {
+    stopReasons,
+    getPageFingerprint,
+    validatePagination,
+    getPagination,
+    hasPagePlaceholders,
+    getPageUrl,
+    isLinkedPagination,
+    isSameUrl,
+    getFirstPageUrl
+};
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const is = require('./is.js');
+
+/**
+ * Currency signs and corresponding ISO 4217 codes.
+ * Longer signs go first, so that e.g. "R$" is not recognized as "$".
+ *
+ * @private
+ */
+const currencySigns = [
+    ['US$', 'USD'],
+    ['C$', 'CAD'],
+    ['A$', 'AUD'],
+    ['R$', 'BRL'],
+    ['руб', 'RUB'],
+    ['р.', 'RUB'],
+    ['грн', 'UAH'],
+    ['zł', 'PLN'],
+    ['Kč', 'CZK'],
+    ['$', 'USD'],
+    ['€', 'EUR'],
+    ['£', 'GBP'],
+    ['¥', 'JPY'],
+    ['₽', 'RUB'],
+    ['₴', 'UAH'],
+    ['₸', 'KZT'],
+    ['₹', 'INR'],
+    ['₩', 'KRW'],
+    ['₺', 'TRY'],
+    ['₪', 'ILS'],
+    ['₫', 'VND']
+];
+
+/**
+ * Codes recognized in a text of a price in addition to the signs.
+ *
+ * @private
+ */
+const currencyCodes = new Set([
+    ...currencySigns.map(([, code]) => code),
+    'CHF', 'CNY', 'SEK', 'NOK', 'DKK', 'HUF', 'RON', 'BYN', 'AED', 'SGD', 'HKD', 'NZD', 'MXN'
+]);
+
+/**
+ * Pattern of an amount. Spaces are allowed only before groups of three digits (e.g. "1 299,00").
+ *
+ * @private
+ */
+const AMOUNT_REGEX = /\d+(?:(?:[.,'’]|\s(?=\d{3}(?!\d)))\d+)*/g;
+
+/**
+ * Pattern of a separator between amounts of a price range.
+ *
+ * @private
+ */
+const RANGE_SEPARATOR_REGEX = /^[^\d]*?(\s[-–—]\s?|[-–—]|\sto\s|\sдо\s)[^\d]*$/i;
+
+/**
+ * Get a decimal separator of a locale.
+ *
+ * @param {string} locale - BCP 47 language tag (e.g. "ru-RU").
+ * @returns {string}
+ * @private
+ */
+function getDecimalSeparator(locale) {
+    try {
+        return new Intl.NumberFormat(locale).formatToParts(1.1).find(part => part.type === 'decimal').value;
+    } catch (e) {
+        throw new Error(`${locale} is not a valid locale`);
+    }
+}
+
+/**
+ * Convert an amount string to a number.
+ *
+ * @param {string} str - e.g. "1 299,00" or "1,299.99".
+ * @param {string} [decimalSeparator] - if not present, it is guessed from the string:
+ * the last of "." and "," is decimal when both are present,
+ * and a single separator is decimal unless it is followed by exactly three digits.
+ * @returns {number}
+ * @private
+ */
+function parseAmount(str, decimalSeparator) {
+    const compact = str.replace(/[\s'’]/g, '');
+    let separator = decimalSeparator;
+
+    if (!separator) {
+        const lastDot = compact.lastIndexOf('.');
+        const lastComma = compact.lastIndexOf(',');
+        const last = Math.max(lastDot, lastComma);
+        const lastChar = compact[last];
+        const isSingle = compact.indexOf(lastChar) === last;
+        const isBoth = lastDot !== -1 && lastComma !== -1;
+
+        if (last !== -1 && (isBoth || (isSingle && compact.length - last - 1 !== 3))) {
+            separator = lastChar;
+        }
+    }
+
+    const [integer, fraction = ''] = separator ? compact.split(separator) : [compact];
+    return Number(integer.replace(/[.,]/g, '') + '.' + (fraction.replace(/[.,]/g, '') || '0'));
+}
+
+/**
+ * Recognize a currency of a price.
+ *
+ * @param {string} text
+ * @returns {string|null} ISO 4217 code.
+ * @private
+ */
+function recognizeCurrency(text) {
+    for (const [sign, code] of currencySigns) {
+        if (text.includes(sign)) return code;
+    }
+
+    const codes = text.toUpperCase().match(/\b[A-Z]{3}\b/g) || [];
+    return codes.find(code => currencyCodes.has(code)) || null;
+}
+
+/**
+ * Parse a text of a price.
+ *
+ * If the text contains two amounts separated by a dash, "to" or "до", they are a price range.
+ * Otherwise, two amounts are an old price and a sale price (the smaller one is the sale price).
+ *
+ * @example
+ * parsePrice('1 299,00 ₽'); // { amount: 1299, currency: 'RUB' }
+ * parsePrice('$1,299.99'); // { amount: 1299.99, currency: 'USD' }
+ * parsePrice('от 990 руб.'); // { amount: 990, currency: 'RUB' }
+ * parsePrice('1 299 ₽ 999 ₽'); // { amount: 999, oldAmount: 1299, currency: 'RUB' }
+ * parsePrice('$10 – $20'); // { amount: 10, maxAmount: 20, currency: 'USD' }
+ * parsePrice('1.299', { locale: 'de-DE', currency: 'EUR' }); // { amount: 1299, currency: 'EUR' }
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.locale] - locale of amounts. If not present, decimal separators are guessed.
+ * @param {string} [options.currency] - currency used when the text does not contain any.
+ * @returns {{amount: number, currency: string|null, oldAmount?: number, maxAmount?: number}}
+ * @throws {Error} if the text does not contain any amount.
+ */
+function parsePrice(text, options = {}) {
+    is.invalidType('text', 'string', text);
+    is.invalidType('options.locale', 'string', options.locale, true);
+    is.invalidType('options.currency', 'string', options.currency, true);
+
+    const decimalSeparator = options.locale ? getDecimalSeparator(options.locale) : undefined;
+    const matches = Array.from(text.matchAll(AMOUNT_REGEX));
+
+    if (matches.length === 0) {
+        throw new Error(`No price was found in the string ${text}`);
+    }
+
+    const amounts = matches.map(match => parseAmount(match[0], decimalSeparator));
+    const price = {
+        amount: amounts[0],
+        currency: recognizeCurrency(text) || options.currency || null
+    };
+
+    if (amounts.length > 1) {
+        const between = text.slice(matches[0].index + matches[0][0].length, matches[1].index);
+
+        if (RANGE_SEPARATOR_REGEX.test(between)) {
+            price.amount = Math.min(amounts[0], amounts[1]);
+            price.maxAmount = Math.max(amounts[0], amounts[1]);
+        } else if (amounts[0] !== amounts[1]) {
+            price.amount = Math.min(amounts[0], amounts[1]);
+            price.oldAmount = Math.max(amounts[0], amounts[1]);
+        }
+    }
+
+    return price;
+}
+
+/**
+ * Parse the first number of a text.
+ *
+ * @example
+ * parseNumber('Weight: 1,2 kg'); // 1.2
+ * parseNumber('1.299', 'de-DE'); // 1299
+ *
+ * @param {string} text
+ * @param {string} [locale] - if not present, a decimal separator is guessed.
+ * @returns {number|null} null if the text does not contain any number.
+ */
+function parseNumber(text, locale) {
+    is.invalidType('text', 'string', text);
+    is.invalidType('locale', 'string', locale, true);
+
+    const match = text.match(new RegExp(AMOUNT_REGEX.source));
+
+    if (!match) return null;
+
+    const amount = parseAmount(match[0], locale ? getDecimalSeparator(locale) : undefined);
+    return text[match.index - 1] === '-' ? -amount : amount;
+}
+
+module.exports = {
+    parsePrice,
+    parseNumber
+};
\ No newline at end of file
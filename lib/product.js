@@ -0,0 +1,202 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const cheerio = require('cheerio');
+const { IncompleteProductError, MissingFieldError } = require('./errors.js');
+const is = require('./is.js');
+
+/**
+ * Methods that extract each field of a product record, by field name.
+ *
+ * @private
+ */
+const extractors = {
+    id: 'extractProductId',
+    name: 'extractProductName',
+    description: 'extractProductDescription',
+    imageUrls: 'extractProductImageUrls',
+    price: 'extractProductPrice',
+    availability: 'extractProductAvailability',
+    specs: 'extractProductSpecs',
+    breadcrumbs: 'extractProductBreadcrumbs',
+    rating: 'extractProductRating',
+    reviews: 'extractProductReviews',
+    variants: 'extractProductVariants'
+};
+
+/**
+ * Keys of this.productPageSelectors of fields that metadata of a page may provide, by field name.
+ *
+ * @private
+ */
+const metadataFieldSelectors = {
+    id: 'id',
+    name: 'name',
+    description: 'description',
+    imageUrls: 'images',
+    price: 'price',
+    availability: 'availability',
+    rating: 'rating',
+    reviews: 'reviews'
+};
+
+/**
+ * Get fields of a product record that may be configured for a website.
+ *
+ * Fields that metadata of a page may provide are candidates (see isProvidedByMetadataOnly). The rest are configured when their selectors are present.
+ *
+ * @param {Object} this.productPageSelectors
+ * @param {string} [this.variantOptions.jsonSelector]
+ * @returns {Array<string>}
+ * @private
+ */
+function getConfiguredFields() {
+    const { specs, breadcrumbs, variants } = this.productPageSelectors;
+
+    return Object.keys(extractors).filter(field => {
+        switch (field) {
+            case 'specs': return !!specs;
+            case 'breadcrumbs': return !!breadcrumbs;
+            case 'variants': return !!(variants || this.variantOptions.jsonSelector);
+            default: return true;
+        }
+    });
+}
+
+/**
+ * Can a field be provided only by metadata of a page, since its selector is not present?
+ *
+ * Such a field is configured only if a metadata source provides it.
+ *
+ * @param {string} field
+ * @param {Object} this.productPageSelectors
+ * @returns {boolean}
+ * @private
+ */
+function isProvidedByMetadataOnly(field) {
+    const selectorKey = metadataFieldSelectors[field];
+    return !!selectorKey && !this.productPageSelectors[selectorKey];
+}
+
+/**
+ * Extract a record of a product from its page.
+ *
+ * Each field is extracted independently, so a field that cannot be extracted is null and does not affect other fields.
+ * Success or an error of each field is reported in diagnostics.
+ *
+ * @example
+ * const cheerio = require('cheerio');
+ * const scraper = new ProductScraper({ productPageSelectors: { id: '#id', name: 'h1' } });
+ *
+ * const $ = cheerio.load('<h1>Product</h1>');
+ * const product = scraper.extractProduct($, { fields: ['id', 'name'] });
+ * // product = {
+ * //     id: null, name: 'Product', brand: '',
+ * //     diagnostics: { id: { ok: false, error: 'Selector #id do not match any element' }, name: { ok: true, error: null } }
+ * // }
+ *
+ * @param {CheerioAPI} $
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields] - fields to extract, which must be values from ProductScraper.productFields.
+ * By default, all fields configured for a website: fields whose selectors are present, and also id, name, description,
+ * imageUrls, price, availability, rating and reviews if a metadata source of the page provides them.
+ * @param {boolean} [options.strict=false] - set this to true to throw an error if any field cannot be extracted.
+ * @param {string} [options.url] - URL of the page used in an error of the strict mode.
+ * @param {Object<string, Object>} [this.productPageFields] - if present, custom fields will be included.
+ * @param {Array<string>} [this.config.brands] - if present, brand will be recognized by a name. Otherwise, brand will be an empty string.
+ * @returns {Object} record with each field (null if it cannot be extracted), brand, custom fields (null if they cannot be extracted),
+ * and diagnostics of each field and custom field as { ok: boolean, error: string|null }.
+ * @throws {IncompleteProductError} in the strict mode, if any field cannot be extracted. Its product property is the record.
+ */
+function extractProduct($, options = {}) {
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.fields', 'array', options.fields, true);
+    is.invalidType('options.strict', 'boolean', options.strict, true);
+    is.invalidType('options.url', 'string', options.url, true);
+
+    const fields = options.fields || getConfiguredFields.call(this);
+    const unknownField = fields.find(field => !extractors[field]);
+
+    if (unknownField !== undefined) {
+        throw new Error(`Unknown product field ${unknownField}`);
+    }
+
+    const product = {};
+    const diagnostics = {};
+
+    const extractField = (field, extract, isOptional = false) => {
+        try {
+            product[field] = extract();
+            diagnostics[field] = { ok: true, error: null };
+        } catch (e) {
+            if (isOptional && e instanceof MissingFieldError) return;
+
+            product[field] = null;
+            diagnostics[field] = { ok: false, error: e.message };
+        }
+    };
+
+    for (const field of Object.keys(this.productPageFields)) {
+        extractField(field, () => this.extractCustomField($, field));
+    }
+
+    for (const field of fields) {
+        // Fields that are not requested explicitly are omitted if they are not configured
+        const isOptional = !options.fields && isProvidedByMetadataOnly.call(this, field);
+        extractField(field, () => this[extractors[field]]($), isOptional);
+    }
+
+    if ('name' in product) {
+        product.brand = product.name === null ? null : this.recognizeBrand(product.name);
+    }
+
+    product.diagnostics = diagnostics;
+
+    if (options.strict && Object.values(diagnostics).some(diagnostic => !diagnostic.ok)) {
+        throw new IncompleteProductError(options.url || 'the page', product);
+    }
+
+    return product;
+}
+
+/**
+ * Fetch a product page and extract a record of the product.
+ *
+ * @example
+ * const product = await scraper.scrapeProduct('https://example.com/products/0123');
+ * // product = { url: 'https://example.com/products/0123', id: '0123', name: 'Product', ..., diagnostics: { id: { ok: true, error: null }, ... } }
+ *
+ * const strictProduct = await scraper.scrapeProduct('https://example.com/products/0123', { strict: true }); // throws if any field is missing
+ *
+ * @param {string} url - URL of a product page.
+ * @param {Object} [options] - see extractProduct.
+ * @param {Array<string>} [options.fields]
+ * @param {boolean} [options.strict=false]
+ * @returns {Promise<Object>} record of extractProduct with a final URL of the page (after redirects).
+ * @throws {IncompleteProductError} in the strict mode, if any field cannot be extracted.
+ * @throws {HttpError} if a server responds with a non-2xx status code.
+ */
+async function scrapeProduct(url, options = {}) {
+    is.invalidType('url', 'string', url);
+    is.invalidType('options', 'object', options);
+
+    const page = await this.fetchPage(url);
+    const product = this.extractProduct(cheerio.load(page.html), { ...options, url: page.url });
+
+    return { url: page.url, ...product };
+}
+
+module.exports = function (ProductScraper) {
+    Object.assign(ProductScraper.prototype, {
+        extractProduct,
+        scrapeProduct
+    });
+    Object.assign(ProductScraper, {
+        productFields: Object.keys(extractors),
+        IncompleteProductError
+    });
+};
\ No newline at end of file
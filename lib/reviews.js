@@ -0,0 +1,249 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { selectInCards } = require('./cards.js');
+const { getPagination } = require('./pagination.js');
+const { parseNumber } = require('./price.js');
+const { extractFromSources } = require('./sources.js');
+const is = require('./is.js');
+
+/**
+ * Parse a number of a rating, a score or a review count.
+ *
+ * @param {string} [value]
+ * @param {string} [this.priceOptions.locale]
+ * @returns {number|null}
+ * @private
+ */
+function toNumber(value) {
+    return is.string(value) ? parseNumber(value, this.priceOptions.locale || undefined) : null;
+}
+
+/**
+ * Read values of selected elements from an attribute of this.reviewOptions.attributes or from text contents.
+ *
+ * @param {CheerioAPI} $
+ * @param {Cheerio} $els
+ * @param {string} field
+ * @param {Object<string, string>} this.reviewOptions.attributes
+ * @returns {Array<string>}
+ * @private
+ */
+function readValues($, $els, field) {
+    const attribute = this.reviewOptions.attributes[field];
+
+    return $els.toArray()
+        .map(el => attribute ? $(el).attr(attribute) : $(el).text().replace(/\s+/g, ' ').trim())
+        .filter(value => value !== undefined);
+}
+
+/**
+ * Normalize raw data of a review.
+ *
+ * @param {{author?: string, date?: string, score?: string, text?: string}} raw
+ * @returns {{author: string|null, date: string|null, score: number|null, text: string|null}}
+ * @private
+ */
+function normalizeReview(raw) {
+    return {
+        author: raw.author || null,
+        date: raw.date || null,
+        score: toNumber.call(this, raw.score),
+        text: raw.text || null
+    };
+}
+
+/**
+ * Extract an aggregate rating of a product from a product page.
+ *
+ * @example
+ * const cheerio = require('cheerio');
+ * const scraper = new ProductScraper();
+ * scraper.productPageSelectors.rating = '.rating';
+ * scraper.productPageSelectors.reviewCount = '.reviews-count';
+ *
+ * const $ = cheerio.load('<span class="rating">4.5 out of 5</span> <span class="reviews-count">(1,024 reviews)</span>');
+ * const rating = scraper.extractProductRating($); // rating = { value: 4.5, count: 1024, best: null }
+ *
+ * If the selector does not match any element, the rating is taken from the next source of this.productPageOptions.sources.rating.
+ *
+ * @param {CheerioAPI} $
+ * @param {string} this.productPageSelectors.rating
+ * @param {string} [this.productPageSelectors.reviewCount] - if not present or does not match any element, count is null.
+ * @param {string} [this.reviewOptions.attributes.rating]
+ * @param {string} [this.reviewOptions.attributes.reviewCount]
+ * @returns {{value: number, count: number|null, best: number|null}} best is the maximum rating (only metadata sources provide it).
+ * @throws {Error} if a selected element does not contain a number.
+ */
+function extractProductRating($) {
+    return extractFromSources.call(this, $, 'rating',
+        () => {
+            const { rating: ratingSelector, reviewCount: countSelector } = this.productPageSelectors;
+            is.invalidType('productPageSelectors.rating', 'string', ratingSelector);
+
+            const els = $(ratingSelector);
+            is.emptySelection(els, ratingSelector);
+
+            const value = toNumber.call(this, readValues.call(this, $, els.first(), 'rating')[0]);
+
+            if (value === null) {
+                throw new Error(`Element selected by ${ratingSelector} does not contain a rating`);
+            }
+
+            const count = countSelector
+                ? toNumber.call(this, readValues.call(this, $, $(countSelector).first(), 'reviewCount')[0])
+                : null;
+
+            return { value, count, best: null };
+        },
+        product => {
+            const value = toNumber.call(this, product.rating?.value);
+
+            if (value === null) return undefined;
+
+            return {
+                value,
+                count: toNumber.call(this, product.rating.count),
+                best: toNumber.call(this, product.rating.best)
+            };
+        });
+}
+
+/**
+ * Extract reviews of a product from a product page or a review page.
+ *
+ * Each element selected by this.productPageSelectors.reviews is a review, and its fields are selected
+ * by this.reviewSelectors inside it. A field without a selector is read from an attribute of the review element itself
+ * (see this.reviewOptions.attributes), or it is null.
+ *
+ * @example
+ * const cheerio = require('cheerio');
+ * const scraper = new ProductScraper({
+ *     productPageSelectors: { reviews: '.review' },
+ *     reviewSelectors: { author: '.author', date: 'time', score: '.stars', text: '.text' },
+ *     reviewOptions: { attributes: { date: 'datetime', score: 'data-score' } }
+ * });
+ *
+ * const html = `
+ * <div class="review">
+ *     <span class="author">Alice</span> <time datetime="2025-01-31">31 January</time>
+ *     <span class="stars" data-score="5">★★★★★</span> <p class="text">Great!</p>
+ * </div>`;
+ * const $ = cheerio.load(html);
+ *
+ * const reviews = scraper.extractProductReviews($);
+ * // reviews = [{ author: 'Alice', date: '2025-01-31', score: 5, text: 'Great!' }]
+ *
+ * If the selector does not match any element, reviews are taken from the next source of this.productPageOptions.sources.reviews.
+ *
+ * @param {CheerioAPI} $
+ * @param {string} this.productPageSelectors.reviews
+ * @param {Object<string, string>} [this.reviewSelectors]
+ * @param {Object<string, string>} [this.reviewOptions.attributes]
+ * @returns {Array<{author: string|null, date: string|null, score: number|null, text: string|null}>}
+ * @throws {Error} if none of the sources provide reviews (so a page after the last review page is recognized).
+ */
+function extractProductReviews($) {
+    return extractFromSources.call(this, $, 'reviews',
+        () => {
+            const selector = this.productPageSelectors.reviews;
+            is.invalidType('productPageSelectors.reviews', 'string', selector);
+
+            const els = $(selector);
+            is.emptySelection(els, selector);
+
+            return els.toArray().map(el => {
+                const $review = $(el);
+                const raw = _.mapValues(this.reviewSelectors, (selector, field) => {
+                    if (!selector && !this.reviewOptions.attributes[field]) return undefined;
+                    return readValues.call(this, $, selector ? $review.find(selector).first() : $review, field)[0];
+                });
+
+                return normalizeReview.call(this, raw);
+            });
+        },
+        product => product.reviews?.map(raw => normalizeReview.call(this, raw)));
+}
+
+/**
+ * Extract an aggregate rating of each product from a list.
+ *
+ * @param {CheerioAPI} $
+ * @param {string} this.productListSelectors.ratings
+ * @param {string} [this.productListSelectors.reviewCounts] - if not present, count of each rating is null.
+ * @param {string} [this.productListSelectors.card] - if present, value and count of a card without a selected element are null.
+ * @param {string} [this.reviewOptions.attributes.rating]
+ * @param {string} [this.reviewOptions.attributes.reviewCount]
+ * @returns {Array<{value: number|null, count: number|null}>} value is null if a selected element does not contain a number.
+ * @throws {Error} if selection is empty or numbers of ratings and review counts are not equal.
+ */
+function extractProductRatingsFromList($) {
+    const { ratings: ratingsSelector, reviewCounts: countsSelector } = this.productListSelectors;
+    const readCards = (selector, field) => selectInCards.call(this, $, selector)
+        .map($els => readValues.call(this, $, $els.first(), field)[0]);
+
+    const values = readCards(ratingsSelector, 'rating');
+    const counts = countsSelector ? readCards(countsSelector, 'reviewCount') : [];
+
+    if (countsSelector && counts.length !== values.length) {
+        throw new Error('Invalid selection: review counts number and ratings number are not equal');
+    }
+
+    return values.map((value, i) => ({
+        value: toNumber.call(this, value),
+        count: toNumber.call(this, counts[i])
+    }));
+}
+
+/**
+ * Extract reviews of a product from all pages of a review pagination.
+ *
+ * @param {Object} pagination - pagination options (see paginate).
+ * @param {string} pagination.url - part of the pagination URL before a page number, or a URL template.
+ * @param {number} [pagination.first=1] - first page number to start from.
+ * @param {number} [pagination.last] - last page number to stop.
+ * @param {string} this.productPageSelectors.reviews
+ * @param {Object<string, string>} [this.reviewSelectors]
+ * @param {Object<string, string>} [this.reviewOptions.attributes]
+ * @returns {Promise<Array<{author: string|null, date: string|null, score: number|null, text: string|null}>>}
+ */
+async function extractProductReviewsFromPagination(pagination) {
+    return await this.iterateOverPagination(pagination, $ => this.extractProductReviews($));
+}
+
+/**
+ * Fetch all reviews of a product from its dedicated review pages.
+ *
+ * @example
+ * const scraper = new ProductScraper({
+ *     productPageSelectors: { reviews: '.review' },
+ *     reviewSelectors: { author: '.author', text: '.text' },
+ *     paginations: { reviews: ['https://example.com/products/', '/reviews?page='] }
+ * });
+ *
+ * const reviews = await scraper.fetchProductReviews('0123'); // reviews of https://example.com/products/0123/reviews?page=N
+ *
+ * @param {string} criteria - review pagination criteria (usually a product ID).
+ * @param {Array<string>|Object} this.paginations.reviews
+ * @returns {Promise<Array<{author: string|null, date: string|null, score: number|null, text: string|null}>>}
+ */
+async function fetchProductReviews(criteria) {
+    is.invalidType('criteria', 'string', criteria);
+
+    return await this.extractProductReviewsFromPagination(getPagination(this.paginations.reviews, criteria));
+}
+
+module.exports = function (ProductScraper) {
+    Object.assign(ProductScraper.prototype, {
+        extractProductRating,
+        extractProductReviews,
+        extractProductRatingsFromList,
+        extractProductReviewsFromPagination,
+        fetchProductReviews
+    });
+};
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+/**
+ * Parse robots.txt into groups of rules.
+ *
+ * @example
+ * const text = `
+ * User-agent: *
+ * Disallow: /cart
+ * Allow: /cart/share
+ * Crawl-delay: 2`;
+ * const groups = parseRobotsTxt(text);
+ * // groups = [{ userAgents: ['*'], rules: [{ allow: false, path: '/cart' }, { allow: true, path: '/cart/share' }], crawlDelay: 2 }]
+ *
+ * @param {string} text
+ * @returns {Array<{userAgents: Array<string>, rules: Array<{allow: boolean, path: string}>, crawlDelay?: number}>}
+ */
+function parseRobotsTxt(text) {
+    const groups = [];
+    let group = null;
+    let isReadingUserAgents = false;
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.replace(/#.*/, '').match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+
+        if (!match) continue;
+
+        const key = match[1].toLowerCase();
+        const value = match[2];
+
+        if (key === 'user-agent') {
+            // Consecutive User-agent lines share one group.
+            if (!isReadingUserAgents) {
+                group = { userAgents: [], rules: [] };
+                groups.push(group);
+            }
+
+            group.userAgents.push(value.toLowerCase());
+            isReadingUserAgents = true;
+            continue;
+        }
+
+        isReadingUserAgents = false;
+
+        if (!group) continue;
+
+        if ((key === 'allow' || key === 'disallow') && value) {
+            group.rules.push({ allow: key === 'allow', path: value });
+        } else if (key === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+            group.crawlDelay = parseFloat(value);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Get rules that apply to a user agent.
+ *
+ * Groups for the product token of the user agent (e.g. "mybot" for "MyBot/1.0") take precedence over the group for "*".
+ *
+ * @param {Array<Object>} groups - groups returned by parseRobotsTxt.
+ * @param {string} [userAgent='*']
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay?: number}}
+ */
+function getRobotsRules(groups, userAgent = '*') {
+    const token = userAgent.split('/')[0].trim().toLowerCase();
+    let matched = groups.filter(group => token !== '*' && group.userAgents.includes(token));
+
+    if (matched.length === 0) {
+        matched = groups.filter(group => group.userAgents.includes('*'));
+    }
+
+    const delays = matched.map(group => group.crawlDelay).filter(delay => delay !== undefined);
+
+    return {
+        rules: matched.flatMap(group => group.rules),
+        crawlDelay: delays.length ? Math.max(...delays) : undefined
+    };
+}
+
+/**
+ * Convert a path pattern of robots.txt to a regular expression.
+ *
+ * @param {string} pattern - path that may include "*" wildcards and the "$" end anchor.
+ * @returns {RegExp}
+ * @private
+ */
+function patternToRegExp(pattern) {
+    const isAnchored = pattern.endsWith('$');
+    const source = (isAnchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp('^' + source + (isAnchored ? '$' : ''));
+}
+
+/**
+ * Is a path allowed by rules?
+ *
+ * The longest matching rule wins. If an Allow and a Disallow rule are equally long, the Allow rule wins.
+ *
+ * @param {Array<{allow: boolean, path: string}>} rules
+ * @param {string} path - path of a URL including its query string.
+ * @returns {boolean}
+ */
+function isPathAllowed(rules, path) {
+    let winner = null;
+
+    for (const rule of rules) {
+        if (!patternToRegExp(rule.path).test(path)) continue;
+
+        const isLonger = !winner || rule.path.length > winner.path.length;
+        const isEqualAllow = winner && rule.path.length === winner.path.length && rule.allow;
+
+        if (isLonger || isEqualAllow) winner = rule;
+    }
+
+    return winner ? winner.allow : true;
+}
+
+module.exports = {
+    parseRobotsTxt,
+    getRobotsRules,
+    isPathAllowed
+};
\ No newline at end of file
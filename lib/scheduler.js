@@ -0,0 +1,135 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+/**
+ * Queue of requests to a single host that limits their rate and concurrency.
+ *
+ * Limits are passed along with each request, since one host may be shared by several ProductScraper instances.
+ * A request waits until both the limits of its own and the time passed since the previous request allow it to start.
+ *
+ * @private
+ */
+class HostScheduler {
+    constructor() {
+        this.queue = [];
+        this.running = 0;
+        this.lastStart = -Infinity;
+        this.timeout = null;
+    }
+
+    /**
+     * Schedule a task.
+     *
+     * @param {Function: Promise} task
+     * @param {Object} limits
+     * @param {number} limits.interval - minimum time in milliseconds between starts of two requests.
+     * @param {number} limits.maxConcurrent - maximum number of requests running at the same time.
+     * @param {AbortSignal} [signal] - if aborted while a task is in the queue, the task is removed from it.
+     * @returns {Promise<any>} result of the task.
+     */
+    schedule(task, limits, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+
+            const entry = { task, limits, resolve, reject, signal };
+
+            entry.onAbort = () => {
+                this.queue.splice(this.queue.indexOf(entry), 1);
+                reject(signal.reason);
+                this.next();
+            };
+
+            signal?.addEventListener('abort', entry.onAbort, { once: true });
+            this.queue.push(entry);
+            this.next();
+        });
+    }
+
+    /**
+     * Start the first task of the queue if the limits allow it.
+     *
+     * @returns {void}
+     */
+    next() {
+        if (this.timeout || this.queue.length === 0) return;
+
+        const entry = this.queue[0];
+
+        // The task will be started once one of the running tasks is finished.
+        if (this.running >= entry.limits.maxConcurrent) return;
+
+        const wait = this.lastStart + entry.limits.interval - Date.now();
+
+        if (wait > 0) {
+            this.timeout = setTimeout(() => {
+                this.timeout = null;
+                this.next();
+            }, wait);
+            return;
+        }
+
+        this.queue.shift();
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        this.running++;
+        this.lastStart = Date.now();
+
+        Promise.resolve()
+            .then(entry.task)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                this.running--;
+                this.next();
+            });
+
+        this.next();
+    }
+}
+
+/**
+ * Schedulers of all hosts, shared by all ProductScraper instances.
+ *
+ * @type {Map<string, HostScheduler>}
+ * @private
+ */
+const schedulers = new Map();
+
+/**
+ * Get a scheduler of a host.
+ *
+ * @param {string} host
+ * @returns {HostScheduler}
+ */
+function getScheduler(host) {
+    if (!schedulers.has(host)) {
+        schedulers.set(host, new HostScheduler());
+    }
+
+    return schedulers.get(host);
+}
+
+/**
+ * Convert rate limit options to limits of a scheduler.
+ *
+ * @param {Object} rateLimit
+ * @param {number} rateLimit.requestsPerSecond - 0 means no limit.
+ * @param {number} rateLimit.minDelay
+ * @param {number} rateLimit.maxConcurrent
+ * @returns {{interval: number, maxConcurrent: number}}
+ */
+function getLimits(rateLimit) {
+    const { requestsPerSecond, minDelay, maxConcurrent } = rateLimit;
+
+    return {
+        interval: Math.max(minDelay, requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0),
+        maxConcurrent: maxConcurrent > 0 ? maxConcurrent : Infinity
+    };
+}
+
+module.exports = {
+    getScheduler,
+    getLimits
+};
\ No newline at end of file
@@ -6,33 +6,61 @@
 'use strict';
 
 const { fuseSearchProduct } = require('./fuse-product.js');
+const { getPagination, getFirstPageUrl } = require('./pagination.js');
 const is = require('./is.js');
 
+/**
+ * Maximum number of memoized results of hasSearchResult. The oldest ones are forgotten first.
+ *
+ * @private
+ */
+const SEARCH_RESULTS_LIMIT = 1000;
+
 /**
  * Did a search engine find any results?
+ * 
+ * Results are memoized until reset is called, so repeated queries (including concurrent ones) are not sent to the website again.
+ * A failed request is not memoized.
  *  
  * @param {string} query - search query.
- * @param {string} this.paginations.search[0]
- * @param {{names?: string, links?: string, images?: string, descriptions?: string}} this.productListSelectors - at least one of its values
+ * @param {Array<string>|Object} this.paginations.search - only its first page is fetched.
+ * @param {{card?: string, names?: string, links?: string, images?: string, descriptions?: string}} this.productListSelectors - at least one of its values
  * must be defined.
  * @returns {Promise<boolean>}
  */
 async function hasSearchResult(query) {
     is.invalidType('query', 'string', query);
 
-    const $ = await this.fetchCheerioAPI(this.paginations.search[0] + query);
-    const selector = this.productListSelectors.names ||
+    const url = getFirstPageUrl(this.paginations.search, query);
+
+    if (this.searchResults.has(url)) return this.searchResults.get(url);
+
+    const selector = this.productListSelectors.card ||
+                    this.productListSelectors.names ||
                     this.productListSelectors.links ||
                     this.productListSelectors.images ||
                     this.productListSelectors.descriptions;
-    return !!$(selector).length;
+    const hasResult = this.fetchCheerioAPI(url).then($ => !!$(selector).length);
+
+    if (this.searchResults.size >= SEARCH_RESULTS_LIMIT) {
+        this.searchResults.delete(this.searchResults.keys().next().value);
+    }
+
+    this.searchResults.set(url, hasResult);
+
+    try {
+        return await hasResult;
+    } catch (e) {
+        if (this.searchResults.get(url) === hasResult) this.searchResults.delete(url);
+        throw e;
+    }
 }
 
 /**
  * Get a maximum substring of a search query such that search results are non-empty.
  * 
  * @param {string} query - search query.
- * @param {string} this.paginations.search[0]
+ * @param {Array<string>|Object} this.paginations.search - only its first page is fetched.
  * @param {{names?: string, links?: string, images?: string, descriptions?: string}} this.productListSelectors - at least one of its values
  * must be defined.
  * @returns {Promise<string>}
@@ -60,44 +88,227 @@ async function getOptimalForSearchSubstring(query) {
 }
 
 /**
- * Search for a product by its basic info.
+ * Search for a product by its basic info and assess the relevance of the closest search result.
  * 
  * @param {Object} basicInfo
  * @param {string} basicInfo.name
  * @param {string} [basicInfo.brand]
- * @param {string} [basicInfo.url]
- * @param {Array<string>} this.paginations.search
- * @param {string} this.productListSelectors.names
- * @param {string} this.productListSelectors.links
- * @param {Object} this.fuseOptionsBrand
- * @param {Object} this.fuseOptionsBrandless
- * @returns {Promise<string>} product page URL of the closest search result.
+ * @param {string} [basicInfo.url] - if present, basicInfo is the candidate without a search (and the other fields are null or empty).
+ * @param {number} [alternativesNumber=0] - maximum number of alternatives.
+ * @returns {Promise<{candidate: Object, score: number|null, rerankedScore: number|null, relevance: number|null, query: string|null,
+ * alternatives: Array<{candidate: Object, score: number, rerankedScore: number|null}>}>}
+ * @throws {Error} if no search results are found, or none of them is close enough.
+ * @private
  */
-async function searchProduct(basicInfo) {
+async function matchProduct(basicInfo, alternativesNumber = 0) {
     is.invalidType('basicInfo', 'object', basicInfo);
     is.invalidType('basicInfo.brand', 'string', basicInfo.brand, true);
     is.invalidType('basicInfo.brand', 'string', basicInfo.url, true);
 
-    if (basicInfo.url) return basicInfo.url;
+    if (basicInfo.url) {
+        return { candidate: basicInfo, score: null, rerankedScore: null, relevance: null, query: null, alternatives: [] };
+    }
 
     const nameSubstr = await this.getOptimalForSearchSubstring(basicInfo.name);
-    const url = this.paginations.search[0] + nameSubstr + this.paginations.search[1];
-    const basicInfoList = await this.iterateOverPagination({ url },
+    const pagination = getPagination(this.paginations.search, nameSubstr);
+    const basicInfoList = await this.iterateOverPagination(pagination,
         $ => this.extractProductsBasicInfoFromList($));
 
     if (basicInfoList.length === 0) {
         throw new Error(`Search engine on the website does not work`);
     }
 
-    const productNames = basicInfoList.map(obj => obj.name);
-    const { index, relevance } = fuseSearchProduct(basicInfo, productNames,
+    // Cards without a name or a link (see productListSelectors.card) cannot be matched
+    const candidates = basicInfoList.filter(obj => obj.name !== null && obj.url !== null);
+
+    if (candidates.length === 0) {
+        throw new Error(`Search results do not have any product with a name and a link`);
+    }
+
+    const productNames = candidates.map(obj => obj.name);
+    const { index, relevance, score, rerankedScore, results } = fuseSearchProduct(basicInfo, productNames,
         this.fuseOptionsBrand, this.fuseOptionsBrandless);
 
     if (relevance === 0) {
         throw new Error(`No products close enough were found`);
     }
 
-    return basicInfoList[index].url;    
+    return {
+        candidate: candidates[index],
+        score,
+        rerankedScore,
+        relevance,
+        query: nameSubstr,
+        alternatives: results.slice(1, alternativesNumber + 1)
+            .map(result => ({ candidate: candidates[result.index], score: result.score, rerankedScore: result.rerankedScore }))
+    };
+}
+
+/**
+ * Search for a product by its basic info.
+ * 
+ * In the detailed mode, the closest search result is returned with details of the match, so uncertain matches can be checked manually.
+ * Its relevance is assessed by Fuse.js scores and the thresholds of this.fuseOptionsBrand or this.fuseOptionsBrandless:
+ * 3 - a confident match;
+ * 2 - a close match, but the second closest search result is also close;
+ * 1 - a match that should be checked.
+ * If there are no close enough search results (relevance 0), an error is thrown in both modes.
+ * 
+ * @example
+ * const url = await scraper.searchProduct({ name: 'iPhone 16 128GB', brand: 'Apple' }); // 'https://example.com/products/0123'
+ * 
+ * const match = await scraper.searchProduct({ name: 'iPhone 16 128GB', brand: 'Apple' }, { detailed: true, alternatives: 2 });
+ * // match = {
+ * //     candidate: { name: 'Apple iPhone 16 128GB Black', brand: 'Apple', url: 'https://example.com/products/0123' },
+ * //     score: 0.05,
+ * //     rerankedScore: 0.11,
+ * //     relevance: 2,
+ * //     query: 'iPhone 16 128GB',
+ * //     alternatives: [
+ * //         { candidate: { name: 'Apple iPhone 16 Plus 128GB Black', brand: 'Apple', url: 'https://example.com/products/0124' },
+ * //           score: 0.06, rerankedScore: 0.14 },
+ * //         { candidate: { name: 'Apple iPhone 16 256GB Black', brand: 'Apple', url: 'https://example.com/products/0125' },
+ * //           score: 0.12, rerankedScore: 0.2 }
+ * //     ]
+ * // }
+ * 
+ * @param {Object} basicInfo
+ * @param {string} basicInfo.name
+ * @param {string} [basicInfo.brand]
+ * @param {string} [basicInfo.url] - if present, it is returned without a search. In the detailed mode, basicInfo is the candidate,
+ * and the other fields are null or empty.
+ * @param {Object} [options]
+ * @param {boolean} [options.detailed=false] - set this to true to get details of the match instead of a URL.
+ * @param {number} [options.alternatives=3] - maximum number of alternatives in the detailed mode.
+ * @param {Array<string>|Object} this.paginations.search
+ * @param {string} this.productListSelectors.names
+ * @param {string} this.productListSelectors.links
+ * @param {Object} this.fuseOptionsBrand
+ * @param {Object} this.fuseOptionsBrandless
+ * @returns {Promise<string|{candidate: Object, score: number|null, rerankedScore: number|null, relevance: number|null, query: string|null,
+ * alternatives: Array<{candidate: Object, score: number, rerankedScore: number|null}>}>} product page URL of the closest search result.
+ * In the detailed mode: basic info of the closest search result (see extractProductsBasicInfoFromList), its Fuse.js score
+ * that the relevance was assessed on (0 is a perfect match, 1 is a complete mismatch, comparable with the thresholds),
+ * its relevance, the query sent to the search engine of the website (a substring of a name that gives search results),
+ * and the next closest search results. For relevance 2, search results are ranked again with more weight on name lengths
+ * to choose between close ones: the order follows that ranking, and rerankedScore is a score of it (otherwise null).
+ * @throws {Error} if no search results are found, or none of them is close enough.
+ */
+async function searchProduct(basicInfo, options = {}) {
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.detailed', 'boolean', options.detailed, true);
+    is.invalidType('options.alternatives', 'number', options.alternatives, true);
+
+    const { detailed = false, alternatives = 3 } = options;
+    const match = await matchProduct.call(this, basicInfo, detailed ? alternatives : 0);
+
+    return detailed ? match : match.candidate.url;
+}
+
+/**
+ * Search for each product of a list by its basic info.
+ * 
+ * Products are searched in parallel, but at most options.concurrency at a time (requests are also limited by this.http.rateLimit).
+ * A product that cannot be found does not stop the search of the others: its error is reported in its result.
+ * 
+ * @example
+ * const basicInfos = [
+ *     { name: 'iPhone 16 128GB', brand: 'Apple' },
+ *     { name: 'Galaxy S25', brand: 'Samsung' },
+ *     { name: 'Pixel 9', brand: 'Google', url: 'https://example.com/products/0456' }
+ * ];
+ * 
+ * const report = await scraper.searchProducts(basicInfos, {
+ *     concurrency: 2,
+ *     onProgress: ({ done, total }) => console.log(`${done}/${total}`)
+ * });
+ * // report = {
+ * //     results: [
+ * //         { basicInfo: {...}, url: 'https://example.com/products/0123', relevance: 3, error: null },
+ * //         { basicInfo: {...}, url: null, relevance: null, error: 'No products close enough were found' },
+ * //         { basicInfo: {...}, url: 'https://example.com/products/0456', relevance: null, error: null }
+ * //     ],
+ * //     summary: { total: 3, matched: 1, passthrough: 1, uncertain: 0, failed: 1 }
+ * // }
+ * 
+ * @param {Array<Object>} basicInfos - basic info of each product (see searchProduct).
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - maximum number of products searched at the same time.
+ * @param {Function<Object>: void} [options.onProgress] - function called with { done, total, result } after each product is searched,
+ * where result is the result of that product.
+ * @param {Array<string>|Object} this.paginations.search
+ * @param {string} this.productListSelectors.names
+ * @param {string} this.productListSelectors.links
+ * @param {Object} this.fuseOptionsBrand
+ * @param {Object} this.fuseOptionsBrandless
+ * @returns {Promise<{results: Array<{basicInfo: Object, url: string|null, relevance: number|null, error: string|null}>,
+ * summary: {total: number, matched: number, passthrough: number, uncertain: number, failed: number}}>} results are in the order of basicInfos.
+ * relevance is 1-3 as assessed by Fuse.js (1 and 2 mean a match should be checked, which is counted as uncertain), or null
+ * if a product is not searched (it has a URL or an error). error is a message of an error of a product.
+ * In the summary, matched products are found by a search, passthrough ones are not searched because they have a URL,
+ * and failed ones have an error, so matched + passthrough + failed = total. Uncertain products are counted as matched too.
+ * @throws {Error} if options.onProgress throws an error. Products being searched are finished first, and the rest are not searched.
+ */
+async function searchProducts(basicInfos, options = {}) {
+    is.invalidType('basicInfos', 'array', basicInfos);
+    is.invalidType('options', 'object', options);
+    is.invalidType('options.concurrency', 'number', options.concurrency, true);
+    is.invalidType('options.onProgress', 'function', options.onProgress, true);
+
+    const { concurrency = 4, onProgress } = options;
+
+    if (!(concurrency >= 1)) {
+        throw new Error(`options.concurrency must be at least 1, but received ${concurrency}`);
+    }
+
+    const results = new Array(basicInfos.length);
+    let next = 0;
+    let done = 0;
+    let progressError = null;
+
+    const work = async () => {
+        // Once onProgress fails, products that are not searched yet are skipped
+        while (next < basicInfos.length && progressError === null) {
+            const i = next++;
+            const basicInfo = basicInfos[i];
+
+            try {
+                const { candidate, relevance } = await matchProduct.call(this, basicInfo);
+
+                if (!candidate.url) {
+                    throw new Error(`The best matching product does not have a link`);
+                }
+
+                results[i] = { basicInfo, url: candidate.url, relevance, error: null };
+            } catch (e) {
+                results[i] = { basicInfo, url: null, relevance: null, error: e.message };
+            }
+
+            done++;
+
+            try {
+                if (onProgress) onProgress({ done, total: basicInfos.length, result: results[i] });
+            } catch (e) {
+                progressError ??= e;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, basicInfos.length) }, work));
+
+    if (progressError !== null) {
+        throw new Error('options.onProgress failed, so the search was stopped', { cause: progressError });
+    }
+
+    const summary = {
+        total: results.length,
+        matched: results.filter(result => result.error === null && result.relevance !== null).length,
+        passthrough: results.filter(result => result.error === null && result.relevance === null).length,
+        uncertain: results.filter(result => result.relevance === 1 || result.relevance === 2).length,
+        failed: results.filter(result => result.error !== null).length
+    };
+
+    return { results, summary };
 }
 
 /**
@@ -109,7 +320,7 @@ async function searchProduct(basicInfo) {
  * @param {string} basicInfo.name
  * @param {string} [basicInfo.brand]
  * @param {string} [basicInfo.url]
- * @param {Array<string>} this.paginations.search
+ * @param {Array<string>|Object} this.paginations.search
  * @param {string} this.productListSelectors.names
  * @param {string} this.productListSelectors.links
  * @param {Object} this.fuseOptionsBrand
@@ -128,11 +339,37 @@ async function searchProductCardData(basicInfo) {
     };
 }
 
+/**
+ * Stream basic info of all search results of a query.
+ * 
+ * Results are yielded page by page, and breaking out of a for await loop stops further fetches.
+ * 
+ * @example
+ * for await (const basicInfo of scraper.streamSearchResults('phone')) {
+ *     if (basicInfo.brand === 'Brand') break;
+ * }
+ * 
+ * @param {string} query - search query.
+ * @param {Array<string>|Object} this.paginations.search
+ * @param {string} this.productListSelectors.names
+ * @param {string} this.productListSelectors.links
+ * @yields {{name: string|null, brand?: string|null, url: string|null}}
+ * @returns {AsyncGenerator}
+ */
+async function* streamSearchResults(query) {
+    is.invalidType('query', 'string', query);
+
+    yield* this.paginate(getPagination(this.paginations.search, query),
+        $ => this.extractProductsBasicInfoFromList($));
+}
+
 module.exports = function (ProductScraper) {
     Object.assign(ProductScraper.prototype, {
         hasSearchResult,
         getOptimalForSearchSubstring,
         searchProduct,
+        searchProducts,
+        streamSearchResults,
         searchProductCardData
     });
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const cheerio = require('cheerio');
+const is = require('./is.js');
+
+/**
+ * Parse a sitemap or a sitemap index.
+ *
+ * @example
+ * const xml = `
+ * <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+ *     <url><loc>https://example.com/products/0123</loc><lastmod>2025-01-31</lastmod></url>
+ *     <url><loc>https://example.com/about</loc></url>
+ * </urlset>`;
+ *
+ * const sitemap = parseSitemap(xml);
+ * // sitemap = {
+ * //     isIndex: false,
+ * //     entries: [{ url: 'https://example.com/products/0123', lastmod: '2025-01-31' }, { url: 'https://example.com/about', lastmod: null }]
+ * // }
+ *
+ * @param {string} xml
+ * @returns {{isIndex: boolean, entries: Array<{url: string, lastmod: string|null}>}} entries are pages of a sitemap,
+ * or sitemaps of a sitemap index. Entries without a location are skipped.
+ * @throws {Error} if the XML is neither a sitemap nor a sitemap index.
+ */
+function parseSitemap(xml) {
+    is.invalidType('xml', 'string', xml);
+
+    const $ = cheerio.load(xml, { xml: true });
+    const isIndex = $('sitemapindex').length > 0;
+
+    if (!isIndex && !$('urlset').length) {
+        throw new Error('XML is neither a sitemap nor a sitemap index');
+    }
+
+    const entries = $(isIndex ? 'sitemapindex > sitemap' : 'urlset > url').toArray()
+        .map(el => ({
+            url: $(el).children('loc').first().text().trim(),
+            lastmod: $(el).children('lastmod').first().text().trim() || null
+        }))
+        .filter(entry => entry.url);
+
+    return { isIndex, entries };
+}
+
+module.exports = {
+    parseSitemap
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const { EmptySelectionError, MissingFieldError } = require('./errors.js');
+const is = require('./is.js');
+
+/**
+ * Extract a field of a product page from the first of its sources that provides it.
+ * 
+ * It must be called with a ProductScraper instance as this.
+ * Sources are tried in order of this.productPageOptions.sources[field]. The "selector" source is skipped
+ * if its selector is not present or does not match any element, and metadata sources are skipped if they do not have the field.
+ * 
+ * @param {CheerioAPI} $
+ * @param {string} field - key of productPageSelectors.
+ * @param {Function: any} extractBySelector
+ * @param {Function<Object>: any} [extractFromMetadata] - function that gets the field from a product extracted by extractProductMetadata.
+ * @param {Array<string>} this.productPageOptions.sources[field]
+ * @param {string} [this.productPageSelectors[field]]
+ * @returns {any}
+ * @throws {EmptySelectionError} if none of the sources provide the field: its selector does not match any element,
+ * or MissingFieldError (which is an EmptySelectionError) if the selector is not present.
+ */
+function extractFromSources($, field, extractBySelector, extractFromMetadata = product => product[field]) {
+    const sources = this.productPageOptions.sources[field];
+    let selectionError;
+
+    for (const source of sources) {
+        if (source === 'selector') {
+            if (!this.productPageSelectors[field]) continue;
+
+            try {
+                return extractBySelector();
+            } catch (e) {
+                if (!(e instanceof EmptySelectionError)) throw e;
+                selectionError = e;
+                continue;
+            }
+        }
+
+        const product = this.extractProductMetadata($, source);
+        const value = product ? extractFromMetadata(product) : undefined;
+
+        if (value !== undefined && !(is.array(value) && value.length === 0)) return value;
+    }
+
+    throw selectionError || new MissingFieldError(field, sources);
+}
+
+module.exports = {
+    extractFromSources
+};
\ No newline at end of file
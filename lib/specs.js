@@ -0,0 +1,188 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const is = require('./is.js');
+
+/**
+ * Elements that are rows of specifications rather than parts of a row.
+ *
+ * @private
+ */
+const ROW_TAGS = ['li', 'p', 'div', 'tr', 'section', 'article'];
+
+/**
+ * Collapse whitespace of a text.
+ *
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a key of specifications.
+ *
+ * @example
+ * normalizeSpecKey('Screen size, in:'); // 'screen_size_in'
+ * normalizeSpecKey('Вес'); // 'вес'
+ *
+ * @param {string} key
+ * @returns {string} lower-case key with words joined by underscores.
+ */
+function normalizeSpecKey(key) {
+    is.invalidType('key', 'string', key);
+    return key.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Get a text of an element where <br> elements are line breaks.
+ *
+ * @param {CheerioAPI} $
+ * @param {Cheerio} $el
+ * @returns {string}
+ * @private
+ */
+function getTextWithLineBreaks($, $el) {
+    const $clone = $el.clone();
+    $clone.find('br').replaceWith('\n');
+    return $clone.text();
+}
+
+/**
+ * Read pairs of a key and a value from a table.
+ *
+ * Each row is a header or first cell as a key and the rest cells as a value.
+ *
+ * @param {CheerioAPI} $
+ * @param {Cheerio} $rows
+ * @returns {Array<Array<string>>}
+ * @private
+ */
+function readTableRows($, $rows) {
+    return $rows.toArray().flatMap(row => {
+        const cells = $(row).children('th, td').toArray().map(cell => collapse($(cell).text()));
+        return cells.length > 1 ? [[cells[0], cells.slice(1).filter(Boolean).join(' ')]] : [];
+    });
+}
+
+/**
+ * Read pairs of a key and a value from a definition list.
+ *
+ * Several <dd> elements of the same <dt> are joined by commas.
+ *
+ * @param {CheerioAPI} $
+ * @param {Cheerio} $terms
+ * @returns {Array<Array<string>>}
+ * @private
+ */
+function readDefinitionList($, $terms) {
+    return $terms.toArray().map(term => {
+        const values = $(term).nextUntil('dt', 'dd').toArray().map(dd => collapse($(dd).text()));
+        return [collapse($(term).text()), values.filter(Boolean).join(', ')];
+    });
+}
+
+/**
+ * Read pairs of a key and a value from "label: value" rows.
+ *
+ * A row without a separator is read from its two child elements (e.g. <span>Weight</span><span>1.2 kg</span>).
+ *
+ * @param {CheerioAPI} $
+ * @param {Cheerio} $el
+ * @param {string} separator
+ * @returns {Array<Array<string>>}
+ * @private
+ */
+function readLabelRows($, $el, separator) {
+    const $rows = $el.children(ROW_TAGS.join(', '));
+
+    if ($rows.length) {
+        return $rows.toArray().flatMap(row => readLabelRows($, $(row), separator));
+    }
+
+    const lines = getTextWithLineBreaks($, $el).split('\n').map(collapse).filter(Boolean);
+    const pairs = lines
+        .filter(line => line.includes(separator))
+        .map(line => {
+            const index = line.indexOf(separator);
+            return [line.slice(0, index).trim(), line.slice(index + separator.length).trim()];
+        });
+
+    if (pairs.length === 0 && $el.children().length === 2) {
+        return [$el.children().toArray().map(child => collapse($(child).text()))];
+    }
+
+    return pairs;
+}
+
+/**
+ * Extract specifications from selected elements into an ordered key/value map.
+ *
+ * Each selected element is either a table (or its rows), a definition list, or a container of "label: value" rows.
+ * Keys keep the order of a page. If a key occurs several times, its first value is kept.
+ *
+ * @example
+ * const html = `
+ * <table class="specs"><tr><th>Weight</th><td>1.2 kg</td></tr></table>
+ * <dl class="specs"><dt>Colour</dt><dd>black</dd></dl>
+ * <ul class="specs"><li>Screen size: 6.1"</li></ul>`;
+ * const $ = require('cheerio').load(html);
+ *
+ * extractSpecs($, '.specs'); // { Weight: '1.2 kg', Colour: 'black', 'Screen size': '6.1"' }
+ * extractSpecs($, '.specs', { normalizeKeys: true }); // { weight: '1.2 kg', colour: 'black', screen_size: '6.1"' }
+ *
+ * @param {CheerioAPI} $
+ * @param {string} selector
+ * @param {Object} [options]
+ * @param {boolean} [options.normalizeKeys=false] - set this to true to normalize keys via normalizeSpecKey.
+ * @param {string} [options.separator=':'] - separator of a label and a value in text rows.
+ * @returns {Object<string, string>}
+ * @throws {Error} if selection is empty.
+ */
+function extractSpecs($, selector, options = {}) {
+    is.invalidType('selector', 'string', selector);
+    is.invalidType('options.normalizeKeys', 'boolean', options.normalizeKeys, true);
+    is.invalidType('options.separator', 'string', options.separator, true);
+
+    const { normalizeKeys = false, separator = ':' } = options;
+    const els = $(selector);
+
+    is.emptySelection(els, selector);
+
+    const pairs = els.toArray().flatMap(el => {
+        const $el = $(el);
+
+        if ($el.is('tr')) return readTableRows($, $el);
+        if ($el.is('table') || $el.find('tr').length) return readTableRows($, $el.find('tr'));
+        if ($el.is('dt')) return readDefinitionList($, $el);
+        if ($el.find('dt').length) return readDefinitionList($, $el.find('dt'));
+
+        return readLabelRows($, $el, separator);
+    });
+
+    const specs = {};
+
+    for (const [label, value] of pairs) {
+        // Labels of tables and definition lists may end with a separator too (e.g. <th>Weight:</th>)
+        const trimmed = label.replace(new RegExp(`\\s*${_.escapeRegExp(separator)}$`), '');
+        const key = normalizeKeys ? normalizeSpecKey(trimmed) : trimmed;
+
+        if (key && !Object.hasOwn(specs, key)) {
+            specs[key] = value;
+        }
+    }
+
+    return specs;
+}
+
+module.exports = {
+    extractSpecs,
+    normalizeSpecKey
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const { parseNumber } = require('./price.js');
+const { convertToAbsolute } = require('./url.js');
+const is = require('./is.js');
+
+/**
+ * Transforms of custom field values by name.
+ * Each transform gets a string value, arguments from a schema and a context, and returns a new value.
+ */
+const transforms = {
+    trim: value => value.trim(),
+    lowercase: value => value.toLowerCase(),
+    uppercase: value => value.toUpperCase(),
+    collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+    regex: (value, [pattern, group]) => {
+        const match = value.match(new RegExp(pattern));
+        if (!match) return null;
+        return match[group ?? (match.length > 1 ? 1 : 0)] ?? null;
+    },
+    replace: (value, [pattern, replacement = '']) => value.replace(new RegExp(pattern, 'g'), replacement),
+    number: (value, [locale], context) => parseNumber(value, locale || context.locale || undefined),
+    absoluteUrl: (value, args, context) => context.baseUrl ? convertToAbsolute([value], context.baseUrl)[0] : value,
+    split: (value, [separator = ',']) => value.split(separator).map(part => part.trim()).filter(Boolean)
+};
+
+/**
+ * Apply transforms of a schema to a value.
+ *
+ * A transform is the name of a transform, an array of its name and arguments (e.g. ['regex', '(\\d+) kg', 1]),
+ * or a function. Transforms after "split" are applied to each part.
+ *
+ * @param {string|Array<string>|null} value
+ * @param {Array<string|Array|Function>} chain
+ * @param {{baseUrl: string, locale: string}} context
+ * @returns {any}
+ * @throws {Error} if a transform is unknown.
+ */
+function applyTransforms(value, chain, context) {
+    return chain.reduce((acc, transform) => {
+        if (acc === null || acc === undefined) return acc;
+
+        const [name, ...args] = is.array(transform) ? transform : [transform];
+        const fn = is.fn(name) ? name : transforms[name];
+
+        if (!fn) {
+            throw new Error(`Unknown transform ${name}`);
+        }
+
+        if (is.array(acc)) {
+            return acc.flatMap(part => {
+                const result = fn(part, args, context);
+                return is.array(result) ? result : [result];
+            }).filter(part => part !== null && part !== undefined);
+        }
+
+        return fn(acc, args, context);
+    }, value);
+}
+
+/**
+ * Transforms whose first argument is a regular expression.
+ *
+ * @private
+ */
+const PATTERN_TRANSFORMS = ['regex', 'replace'];
+
+/**
+ * Validate transforms of a custom field of config.productPageFields or config.productListFields.
+ *
+ * @param {string} name - name of the transforms used in errors (e.g. "config.productPageFields.weight.transforms").
+ * @param {Array<string|Array|Function>} chain
+ * @returns {void}
+ * @throws {Error} if a transform is unknown, or a pattern of "regex" or "replace" is not a valid regular expression.
+ */
+function validateTransforms(name, chain) {
+    chain.forEach((transform, i) => {
+        const [transformName, pattern] = is.array(transform) ? transform : [transform];
+
+        if (is.fn(transformName)) return;
+
+        if (!is.string(transformName)) {
+            throw is.invalidTypeError(`${name}[${i}]`, 'transform', transform);
+        }
+
+        if (!Object.hasOwn(transforms, transformName)) {
+            throw new Error(`Unknown transform ${transformName} in ${name}[${i}]`);
+        }
+
+        if (!PATTERN_TRANSFORMS.includes(transformName)) return;
+
+        is.invalidType(`${name}[${i}][1]`, 'string', pattern);
+
+        try {
+            new RegExp(pattern);
+        } catch (e) {
+            throw new Error(`${name}[${i}][1] is not a valid regular expression`, { cause: e });
+        }
+    });
+}
+
+module.exports = {
+    transforms,
+    applyTransforms,
+    validateTransforms
+};
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * Copyright (c) 2025 CuteStoryteller
+ * All Rights Reserved. MIT License
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { normalizeAvailability } = require('./availability.js');
+const { EmptySelectionError } = require('./errors.js');
+const { getImageUrl } = require('./images.js');
+const { extractJsonLd, hasJsonLdType } = require('./json-ld.js');
+const { parsePrice } = require('./price.js');
+const { convertToAbsolute } = require('./url.js');
+const is = require('./is.js');
+
+/**
+ * Parse JSON embedded into a script, which may be either pure JSON or an assignment (e.g. "window.product = {...};").
+ *
+ * @param {string} text
+ * @returns {any}
+ * @private
+ */
+function parseEmbeddedJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        const start = text.search(/[{[]/);
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+
+        try {
+            return JSON.parse(text.slice(start, end + 1));
+        } catch (e) {
+            throw new Error('Embedded JSON of variants is not valid');
+        }
+    }
+}
+
+/**
+ * Get image URLs of a value that may be a URL, an object with a URL, or an array of them.
+ *
+ * @param {any} val
+ * @returns {Array<string>}
+ * @private
+ */
+function toImageUrls(val) {
+    if (is.array(val)) return val.flatMap(toImageUrls);
+    if (is.string(val)) return val ? [val] : [];
+    if (is.object(val)) return toImageUrls(val.url ?? val.src ?? val.contentUrl);
+    return [];
+}
+
+/**
+ * Normalize raw data of a variant.
+ *
+ * @param {Object} raw
+ * @param {string|null} parentId - used if raw data does not have its own parentId.
+ * @param {Object} this.priceOptions
+ * @param {Object} this.availabilityOptions
+ * @param {string} [this.config.baseUrl]
+ * @returns {{parentId: string|null, id: string|null, name: string|null, price: Object|null, availability: string, imageUrls: Array<string>, options: Object<string, string>}}
+ * @private
+ */
+function normalizeVariant(raw, parentId) {
+    const { price, availability } = raw;
+    const imageUrls = toImageUrls(raw.images);
+    const currency = raw.currency || this.priceOptions.currency;
+    let normalizedPrice = null;
+    let normalizedAvailability = 'unknown';
+
+    if (is.number(price)) {
+        normalizedPrice = { amount: price, currency: currency || null };
+    } else if (is.string(price) && price) {
+        // Text without an amount (e.g. "Sold out") does not fail other variants
+        try {
+            normalizedPrice = parsePrice(price, { ...this.priceOptions, currency });
+        } catch (e) {
+            normalizedPrice = null;
+        }
+    }
+
+    if (is.boolean(availability)) {
+        normalizedAvailability = availability ? 'in_stock' : 'out_of_stock';
+    } else if (is.string(availability) && availability) {
+        normalizedAvailability = normalizeAvailability(availability, this.availabilityOptions.matchers);
+    }
+
+    return {
+        parentId: is.defined(raw.parentId) ? String(raw.parentId) : parentId,
+        id: is.defined(raw.id) && raw.id !== '' ? String(raw.id) : null,
+        name: raw.name || null,
+        price: normalizedPrice,
+        availability: normalizedAvailability,
+        imageUrls: this.config.baseUrl ? convertToAbsolute(imageUrls, this.config.baseUrl) : imageUrls,
+        options: _.mapValues(_.pickBy(raw.options || {}, is.defined), String)
+    };
+}
+
+/**
+ * Read raw data of variants from their containers on a page.
+ *
+ * @param {CheerioAPI} $
+ * @param {Cheerio} containers
+ * @param {Object} this.variantSelectors
+ * @param {Object<string, string>} [this.variantOptions.attributes]
+ * @param {Array<string>} this.imageOptions.sources - used for images if this.variantOptions.attributes.images is not present.
+ * @returns {Array<Object>}
+ * @private
+ */
+function readVariantsFromContainers($, containers) {
+    const { options: optionSelectors, ...fieldSelectors } = this.variantSelectors;
+    const attributes = this.variantOptions.attributes;
+
+    // A field without a selector is read from an attribute of the container itself.
+    const read = ($container, field, selector) => {
+        const $els = selector ? $container.find(selector) : $container;
+        const attribute = attributes[field];
+        const imageSources = attribute ? [attribute] : this.imageOptions.sources;
+
+        if ($els.length === 0) return undefined;
+        if (field === 'images') return $els.toArray().map(el => getImageUrl($, el, imageSources)).filter(Boolean);
+        if (attribute) return $els.first().attr(attribute);
+
+        return selector ? $els.first().text().trim() : undefined;
+    };
+
+    return containers.toArray().map(el => {
+        const $container = $(el);
+        const raw = _.mapValues(fieldSelectors, (selector, field) => read($container, field, selector));
+
+        raw.options = _.mapValues(optionSelectors, selector => read($container, 'options', selector));
+
+        return raw;
+    });
+}
+
+/**
+ * Read raw data of variants from JSON embedded into a page.
+ *
+ * @param {CheerioAPI} $
+ * @param {string} this.variantOptions.jsonSelector
+ * @param {string} [this.variantOptions.jsonPath]
+ * @param {Object<string, string>} this.variantOptions.jsonFields
+ * @returns {Array<Object>}
+ * @private
+ */
+function readVariantsFromJson($) {
+    const { jsonSelector, jsonPath, jsonFields } = this.variantOptions;
+    const els = $(jsonSelector);
+
+    is.emptySelection(els, jsonSelector);
+
+    const json = parseEmbeddedJson(els.first().text().trim());
+    const variants = jsonPath ? _.get(json, jsonPath) : json;
+
+    if (!is.array(variants)) {
+        throw new Error(`Embedded JSON does not have an array of variants at ${jsonPath || 'its root'}`);
+    }
+
+    const { options: optionPaths, ...fieldPaths } = jsonFields;
+
+    return variants.map(variant => ({
+        ..._.mapValues(fieldPaths, path => _.get(variant, path)),
+        options: _.isEmpty(optionPaths)
+            ? undefined
+            : _.mapValues(optionPaths, path => _.get(variant, path))
+    }));
+}
+
+/**
+ * Read raw data of variants from a JSON-LD ProductGroup.
+ *
+ * @param {CheerioAPI} $
+ * @returns {Array<Object>}
+ * @private
+ */
+function readVariantsFromJsonLd($) {
+    const group = extractJsonLd($).find(node => hasJsonLdType(node, 'ProductGroup'));
+    const variants = group?.hasVariant;
+
+    if (!variants) return [];
+
+    return _.castArray(variants).map(variant => {
+        const offer = _.castArray(variant.offers || [])[0] || {};
+
+        return {
+            parentId: group.productGroupID ?? group.sku,
+            id: variant.sku ?? variant.productID,
+            name: variant.name,
+            price: offer.price,
+            currency: offer.priceCurrency,
+            availability: offer.availability,
+            images: variant.image,
+            options: _.pick(variant, ['size', 'color', 'material', 'pattern'])
+        };
+    });
+}
+
+/**
+ * Extract variants of a product (e.g. sizes or colours) from a product page.
+ *
+ * Variants are read from the first of the following sources that is available:
+ * 1. Containers selected by this.productPageSelectors.variants, with fields selected by this.variantSelectors inside each container.
+ * 2. JSON embedded into an element selected by this.variantOptions.jsonSelector.
+ * 3. hasVariant of a JSON-LD ProductGroup.
+ *
+ * @example
+ * const scraper = new ProductScraper({
+ *     productPageSelectors: { id: '#product-id', variants: '.variant' },
+ *     variantSelectors: { name: '.variant-name', price: '.variant-price', options: { size: '.variant-size' } },
+ *     variantOptions: { attributes: { id: 'data-sku' } }
+ * });
+ *
+ * const html = `
+ * <span id="product-id">0123</span>
+ * <div class="variant" data-sku="0123-S">
+ *     <span class="variant-name">T-shirt S</span> <span class="variant-price">$9.99</span> <span class="variant-size">S</span>
+ * </div>`;
+ * const $ = require('cheerio').load(html);
+ *
+ * const variants = scraper.extractProductVariants($);
+ * // variants = [{ parentId: '0123', id: '0123-S', name: 'T-shirt S', price: { amount: 9.99, currency: 'USD' },
+ * //               availability: 'unknown', imageUrls: [], options: { size: 'S' } }]
+ *
+ * @param {CheerioAPI} $
+ * @param {string} [this.productPageSelectors.variants]
+ * @param {Object} [this.variantSelectors]
+ * @param {Object} [this.variantOptions]
+ * @returns {Array<{parentId: string|null, id: string|null, name: string|null, price: Object|null, availability: string, imageUrls: Array<string>, options: Object<string, string>}>}
+ * parentId is productGroupID of a JSON-LD ProductGroup or the ID of a product page (null if it cannot be extracted).
+ * Missing fields of a variant are null, and so is a price without an amount (e.g. "Sold out").
+ * An empty array is returned if the product does not have variants.
+ */
+function extractProductVariants($) {
+    let parentId = null;
+    let raws;
+
+    try {
+        parentId = this.extractProductId($);
+    } catch (e) {
+        if (!(e instanceof EmptySelectionError)) throw e;
+    }
+
+    const containers = this.productPageSelectors.variants ? $(this.productPageSelectors.variants) : [];
+
+    if (containers.length) {
+        raws = readVariantsFromContainers.call(this, $, containers);
+    } else if (this.variantOptions.jsonSelector) {
+        raws = readVariantsFromJson.call(this, $);
+    } else {
+        raws = readVariantsFromJsonLd($);
+    }
+
+    return raws.map(raw => normalizeVariant.call(this, raw, parentId));
+}
+
+module.exports = function (ProductScraper) {
+    Object.assign(ProductScraper.prototype, {
+        extractProductVariants
+    });
+};
\ No newline at end of file